@@ -1,6 +1,7 @@
 from fastapi import APIRouter
 
 from api.routes.analyze import router as analyze_router
+from api.routes.uploads import router as uploads_router
 
 api_router = APIRouter()
 api_router.include_router(
@@ -8,6 +9,11 @@ api_router.include_router(
     prefix="/analyze",
     tags=["analyze"]
 )
+api_router.include_router(
+    uploads_router,
+    prefix="/uploads",
+    tags=["uploads"]
+)
 
 @api_router.get("/")
 async def check():
@@ -1,35 +1,92 @@
 import subprocess
-from typing import Union, Tuple
+import tempfile
+import os
+from contextlib import contextmanager
+from typing import Union, Tuple, Iterator, Optional, Callable
 import re
 import math
-from fastapi import APIRouter, File, UploadFile, HTTPException
-from fastapi.responses import JSONResponse
+import json
+from fastapi import APIRouter, File, Form, Request, UploadFile, HTTPException
+from fastapi.concurrency import run_in_threadpool
+from fastapi.responses import JSONResponse, StreamingResponse
 from config import settings
-from exceptions import AudioExtractionError, TranscriptionError, UnsupportedFileType
+from exceptions import (
+    AudioExtractionError, InvalidTrimRange, MissingUpload, ScoringError,
+    ServiceMisconfigured, TranscriptionError, UnsupportedFileType, error_envelope,
+)
 from models import SpeechAnalysisResult
-from openai import OpenAI
+from openai import AuthenticationError, OpenAI, PermissionDeniedError
 from api.tools.text_gemini import analyze_transcript
 from api.tools.prompts import get_transcriber_prompt
+from api.tools.upload_store import assemble_upload, discard_upload, get_upload_content_type, store_upload
+from api.tools.job_store import create_job, delete_job, get_job
 
 router = APIRouter()
 
 _TIME_REGEX = re.compile(r"time=(\d+):(\d+):(\d+\.?\d*)")
 
+# Accepted upload content types. MP4/MOV/M4A containers may keep their index
+# (moov atom) at the end of the file, which ffmpeg cannot read from a pipe,
+# so those are handed to ffmpeg as a temporary file instead.
+STREAMABLE_CONTENT_TYPES = {"video/webm", "audio/webm"}
+SEEKABLE_CONTENT_TYPES = {"video/mp4", "video/quicktime", "audio/mp4", "audio/x-m4a", "audio/m4a"}
+SUPPORTED_CONTENT_TYPES = STREAMABLE_CONTENT_TYPES | SEEKABLE_CONTENT_TYPES
+
 def _parse_hms_to_seconds(h: str, m: str, s: str) -> float:
     return int(h) * 3600 + int(m) * 60 + float(s)
 
+@contextmanager
+def _ffmpeg_input(blob: bytes, seekable: bool) -> Iterator[Tuple[str, Optional[bytes]]]:
+    """
+    Yield (input_arg, stdin_bytes) for ffmpeg/ffprobe.
+
+    Streamable input is piped via stdin; seekable input is written to a
+    temporary file that is removed afterwards.
+    """
+    if not seekable:
+        yield "pipe:0", blob
+        return
+
+    fd, path = tempfile.mkstemp(prefix="presense-upload-")
+    try:
+        with os.fdopen(fd, "wb") as f:
+            f.write(blob)
+        yield path, None
+    finally:
+        os.remove(path)
+
 def convert_webm_blob_to_mp3_bytes(
     webm_blob: bytes,
     ffmpeg_binary: str = settings.ffmpeg_binary,
     sample_rate: int = settings.sample_rate,
     audio_channels: int = settings.audio_channels,
+    seekable_input: bool = False,
+    trim_start: Optional[float] = None,
+    trim_end: Optional[float] = None,
 ) -> Tuple[bytes, float]:
     """
     Convert an in-memory WebM blob into MP3 via ffmpeg pipes,
     and return (mp3_bytes, duration_seconds).
 
     First tries ffprobe; if that yields 'N/A', falls back to ffmpeg-null-decode.
+    Set seekable_input for MP4/MOV/M4A uploads, which ffmpeg reads from a temp file.
+    trim_start/trim_end (seconds) limit the output to that part of the recording;
+    the returned duration is then the trimmed length.
     """
+    with _ffmpeg_input(webm_blob, seekable_input) as (input_arg, stdin_bytes):
+        return _convert_input_to_mp3(
+            input_arg, stdin_bytes, ffmpeg_binary, sample_rate, audio_channels, trim_start, trim_end
+        )
+
+def _convert_input_to_mp3(
+    input_arg: str,
+    stdin_bytes: Optional[bytes],
+    ffmpeg_binary: str,
+    sample_rate: int,
+    audio_channels: int,
+    trim_start: Optional[float] = None,
+    trim_end: Optional[float] = None,
+) -> Tuple[bytes, float]:
     # Derive ffprobe from ffmpeg path
     ffprobe = getattr(settings, "ffprobe_binary", None) or ffmpeg_binary.replace("ffmpeg", "ffprobe")
 
@@ -39,12 +96,12 @@ def convert_webm_blob_to_mp3_bytes(
         "-v", "error",
         "-show_entries", "format=duration",
         "-of", "default=noprint_wrappers=1:nokey=1",
-        "-i", "pipe:0",
+        "-i", input_arg,
     ]
     try:
         p = subprocess.run(
             probe_cmd,
-            input=webm_blob,
+            input=stdin_bytes,
             stdout=subprocess.PIPE,
             stderr=subprocess.DEVNULL,
             check=True,
@@ -59,14 +116,14 @@ def convert_webm_blob_to_mp3_bytes(
     if duration <= 0.0:
         null_cmd = [
             ffmpeg_binary,
-            "-i", "pipe:0",
+            "-i", input_arg,
             "-f", "null", "-"      # decode everything, but don’t write output
         ]
         try:
             # We capture stderr because progress goes there
             p = subprocess.run(
                 null_cmd,
-                input=webm_blob,
+                input=stdin_bytes,
                 stdout=subprocess.DEVNULL,
                 stderr=subprocess.PIPE,
                 check=True,
@@ -82,9 +139,17 @@ def convert_webm_blob_to_mp3_bytes(
             pass
 
     # --- 3) Actual conversion ---
+    # Trim offsets are output options so cuts are accurate to the decoded audio
+    trim_args = []
+    if trim_start:
+        trim_args += ["-ss", f"{trim_start:.3f}"]
+    if trim_end is not None:
+        trim_args += ["-to", f"{trim_end:.3f}"]
+
     conv_cmd = [
         ffmpeg_binary,
-        "-i", "pipe:0",
+        "-i", input_arg,
+        *trim_args,
         "-vn",
         "-acodec", "libmp3lame",
         "-ar", str(sample_rate),
@@ -95,41 +160,52 @@ def convert_webm_blob_to_mp3_bytes(
     try:
         p = subprocess.run(
             conv_cmd,
-            input=webm_blob,
+            input=stdin_bytes,
             stdout=subprocess.PIPE,
             stderr=subprocess.PIPE,
             check=True,
         )
         mp3_bytes = p.stdout
     except subprocess.CalledProcessError as e:
-        raise AudioExtractionError(f"ffmpeg failed: {e.stderr.decode(errors='ignore')}") from e
+        # ffmpeg's stderr includes file paths and build details; keep it in the server log only
+        print(f"ffmpeg failed: {e.stderr.decode(errors='ignore')}")
+        raise AudioExtractionError("the recording's audio could not be read") from e
 
-    return mp3_bytes, duration
+    # Report the length of the trimmed range
+    if trim_end is not None and (duration <= 0.0 or trim_end < duration):
+        duration = trim_end
+    if trim_start:
+        duration = max(duration - trim_start, 0.0)
 
-@router.post("")
-async def analyze(file: UploadFile = File(...)):
-    if file.content_type != "video/webm":
-        raise UnsupportedFileType("Please upload a WebM file (content_type=video/webm).")
-
-    webm_bytes = await file.read()
-    mp3_data, duration = convert_webm_blob_to_mp3_bytes(webm_bytes)
+    return mp3_bytes, duration
 
+def _transcribe(mp3_data: bytes):
     client = OpenAI(
         api_key=settings.openai_api,
         base_url="https://api.lemonfox.ai/v1",
     )
     try:
-        transcript = client.audio.transcriptions.create(
+        return client.audio.transcriptions.create(
             model="gpt-4o-transcribe",
             file=mp3_data,
             language="en",
             prompt=get_transcriber_prompt().strip(),
         )
+    except (AuthenticationError, PermissionDeniedError) as e:
+        # Retrying will not help until the API key is fixed
+        raise ServiceMisconfigured("the transcription API key was rejected") from e
     except Exception as e:
         raise TranscriptionError("Failed to transcribe audio") from e
+
+def _score(transcript, duration: float) -> dict:
     print(duration)
     print(transcript)
-    analysis: SpeechAnalysisResult = analyze_transcript(transcript, video_length=str(duration))
+    try:
+        analysis: SpeechAnalysisResult = analyze_transcript(transcript, video_length=str(duration))
+    except Exception as e:
+        # The Gemini error can include request details; keep it in the server log only
+        print(f"Scoring failed: {e!r}")
+        raise ScoringError("the speech could not be scored") from e
     result_dict = analysis.model_dump()
     
     total_secs = round(duration)
@@ -140,6 +216,187 @@ async def analyze(file: UploadFile = File(...)):
     time_str = f"{minutes:02d}:{seconds:02d}"
 
     result_dict["speechLength"] = str(time_str)
+    # Raw transcript so the frontend can compare it against a prepared script
+    result_dict["transcript"] = getattr(transcript, "text", str(transcript))
 
     print(result_dict)
+    return result_dict
+
+def _run_analysis(
+    webm_bytes: bytes,
+    seekable_input: bool,
+    trim_start: Optional[float],
+    trim_end: Optional[float],
+) -> Iterator[Tuple[str, Optional[dict]]]:
+    """
+    Run the analysis pipeline, yielding (stage, result) as each stage starts.
+
+    Stages are "extracting_audio", "transcribing", "scoring" and finally
+    "done", which carries the result; the others carry None.
+    """
+    yield "extracting_audio", None
+    mp3_data, duration = convert_webm_blob_to_mp3_bytes(
+        webm_bytes,
+        seekable_input=seekable_input,
+        trim_start=trim_start,
+        trim_end=trim_end,
+    )
+
+    yield "transcribing", None
+    transcript = _transcribe(mp3_data)
+
+    yield "scoring", None
+    yield "done", _score(transcript, duration)
+
+def _analysis_result(
+    webm_bytes: bytes,
+    seekable_input: bool,
+    trim_start: Optional[float],
+    trim_end: Optional[float],
+) -> dict:
+    """Run the analysis pipeline to the end and return its result."""
+    result_dict = None
+    for _, result in _run_analysis(webm_bytes, seekable_input, trim_start, trim_end):
+        result_dict = result
+    return result_dict
+
+def _sse(event: str, data: dict) -> str:
+    return f"event: {event}\ndata: {json.dumps(data)}\n\n"
+
+def _stream_analysis(
+    webm_bytes: bytes,
+    seekable_input: bool,
+    trim_start: Optional[float],
+    trim_end: Optional[float],
+    on_success: Optional[Callable[[], None]] = None,
+) -> Iterator[str]:
+    """
+    Server-Sent Events for the analysis: a "stage" event as each stage starts
+    ("received" first), then a "result" event, or an "error" event carrying
+    the error envelope (see error_envelope) with the stage that failed.
+    on_success runs after the result has been sent.
+    """
+    stage = "received"
+    yield _sse("stage", {"stage": stage})
+    try:
+        for stage, result in _run_analysis(webm_bytes, seekable_input, trim_start, trim_end):
+            yield _sse("stage", {"stage": stage})
+            if result is not None:
+                yield _sse("result", result)
+                if on_success:
+                    on_success()
+    except HTTPException as e:
+        yield _sse("error", {**error_envelope(e, stage), "status_code": e.status_code})
+    except Exception as e:
+        print(f"Analysis failed during {stage}: {e!r}")
+        yield _sse("error", {**error_envelope(e, stage), "status_code": 500})
+
+def _check_trim_range(trim_start: Optional[float], trim_end: Optional[float]) -> None:
+    if trim_start is not None and trim_start < 0:
+        raise InvalidTrimRange("trim_start must not be negative")
+    if trim_end is not None and trim_end <= (trim_start or 0.0):
+        raise InvalidTrimRange("trim_end must be after trim_start")
+
+def _is_seekable(content_type: Optional[str]) -> bool:
+    """Whether ffmpeg needs the recording as a file; raises UnsupportedFileType."""
+    if content_type not in SUPPORTED_CONTENT_TYPES:
+        raise UnsupportedFileType(
+            f"Please upload a WebM, MP4, MOV or M4A file (content_type={content_type})."
+        )
+    return content_type in SEEKABLE_CONTENT_TYPES
+
+async def _read_recording(
+    file: Optional[UploadFile],
+    upload_id: Optional[str],
+    trim_start: Optional[float],
+    trim_end: Optional[float],
+) -> Tuple[bytes, bool]:
+    """
+    Validate an analysis request and return (file_bytes, seekable_input). The
+    recording is sent either as `file` or as the `upload_id` of a finished
+    chunked upload (see routes/uploads.py).
+    """
+    _check_trim_range(trim_start, trim_end)
+
+    if upload_id:
+        webm_bytes, content_type = await run_in_threadpool(assemble_upload, upload_id)
+    elif file is not None:
+        webm_bytes, content_type = await file.read(), file.content_type
+    else:
+        raise MissingUpload()
+
+    return webm_bytes, _is_seekable(content_type)
+
+@router.post("")
+async def analyze(
+    request: Request,
+    file: Optional[UploadFile] = File(None),
+    upload_id: Optional[str] = Form(None),
+    trim_start: Optional[float] = Form(None),
+    trim_end: Optional[float] = Form(None),
+):
+    """
+    Analyze a recording (see _read_recording). Responds with the result as
+    JSON, or with a stream of stage events (see _stream_analysis) when the
+    client accepts text/event-stream.
+    """
+    webm_bytes, seekable_input = await _read_recording(file, upload_id, trim_start, trim_end)
+    # Chunks are kept until the analysis succeeds, so a failed one can be retried
+    on_success = (lambda: discard_upload(upload_id)) if upload_id else None
+
+    if "text/event-stream" in request.headers.get("accept", ""):
+        # Sync generator: Starlette runs it in a thread pool, so ffmpeg and the
+        # model calls do not block the event loop
+        return StreamingResponse(
+            _stream_analysis(webm_bytes, seekable_input, trim_start, trim_end, on_success),
+            media_type="text/event-stream",
+            headers={"Cache-Control": "no-cache", "X-Accel-Buffering": "no"},
+        )
+
+    # ffmpeg and the model calls block, so they run in a thread pool too
+    result_dict = await run_in_threadpool(_analysis_result, webm_bytes, seekable_input, trim_start, trim_end)
+    if on_success:
+        on_success()
     return JSONResponse(content=result_dict, status_code=200)
+
+@router.post("/jobs", status_code=202)
+async def create_analysis_job(
+    file: Optional[UploadFile] = File(None),
+    upload_id: Optional[str] = Form(None),
+    trim_start: Optional[float] = Form(None),
+    trim_end: Optional[float] = Form(None),
+):
+    """
+    Start analyzing a recording (see _read_recording) in the background and
+    return the job right away; poll GET /jobs/{job_id} for its progress.
+    """
+    _check_trim_range(trim_start, trim_end)
+
+    if upload_id:
+        seekable_input = _is_seekable(get_upload_content_type(upload_id))
+    elif file is not None:
+        seekable_input = _is_seekable(file.content_type)
+        # Queued jobs read the recording back from the upload store, so it is
+        # not held in memory while they wait for a worker
+        upload_id = await run_in_threadpool(store_upload, file.file, file.filename, file.content_type)
+    else:
+        raise MissingUpload()
+
+    def work():
+        webm_bytes, _ = assemble_upload(upload_id)
+        yield from _run_analysis(webm_bytes, seekable_input, trim_start, trim_end)
+
+    return create_job(work, on_success=lambda: discard_upload(upload_id))
+
+@router.get("/jobs/{job_id}")
+async def get_analysis_job(job_id: str):
+    """
+    The job's status ("queued", "running", "succeeded" or "failed") and stage,
+    with the result once it has succeeded or the error envelope if it failed.
+    """
+    return get_job(job_id)
+
+@router.delete("/jobs/{job_id}", status_code=204)
+async def cancel_analysis_job(job_id: str):
+    """Cancel a job, or forget a finished one."""
+    delete_job(job_id)
@@ -0,0 +1,29 @@
+from fastapi import APIRouter, Form, Request
+from exceptions import UnsupportedFileType
+from api.routes.analyze import SUPPORTED_CONTENT_TYPES
+from api.tools.upload_store import create_upload_session, get_upload_status, save_chunk
+
+router = APIRouter()
+
+@router.post("")
+async def create_upload(
+    filename: str = Form(...),
+    content_type: str = Form(...),
+    size: int = Form(...),
+):
+    """Open a resumable upload; the response says how to chunk the file."""
+    if content_type not in SUPPORTED_CONTENT_TYPES:
+        raise UnsupportedFileType(
+            f"Please upload a WebM, MP4, MOV or M4A file (content_type={content_type})."
+        )
+    return create_upload_session(filename, content_type, size)
+
+@router.get("/{upload_id}")
+async def get_upload(upload_id: str):
+    """Which chunks have arrived, so an interrupted upload can resume."""
+    return get_upload_status(upload_id)
+
+@router.put("/{upload_id}/chunks/{index}")
+async def put_chunk(upload_id: str, index: int, request: Request):
+    """Store one chunk, sent as the raw request body."""
+    return save_chunk(upload_id, index, await request.body())
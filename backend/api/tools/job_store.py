@@ -0,0 +1,146 @@
+import json
+import os
+import re
+import threading
+import time
+import uuid
+from concurrent.futures import ThreadPoolExecutor
+from typing import Callable, Iterator, Optional, Tuple
+from config import settings
+from exceptions import JobNotFound, error_envelope
+
+# Background analysis jobs: POST /analyze/jobs stores a job and runs the
+# analysis in a worker thread, and the client polls GET /analyze/jobs/{job_id}
+# for the current stage and, once finished, the result or error. Each job is
+# one JSON file under settings.job_dir. Jobs run in this process, so the
+# server must run a single worker; a job left queued or running by an earlier
+# process (a restart) is reported as interrupted.
+
+_JOB_ID_REGEX = re.compile(r"^[0-9a-f]{32}$")
+_PUBLIC_FIELDS = ("job_id", "status", "stage", "result", "error", "created_at", "updated_at")
+
+_executor = ThreadPoolExecutor(max_workers=settings.max_concurrent_jobs, thread_name_prefix="analysis-job")
+_lock = threading.Lock()
+_active = set()  # Ids of the jobs queued or running in this process
+
+def _job_path(job_id: str) -> str:
+    # The id ends up in a path, so only accept ids we could have generated
+    if not _JOB_ID_REGEX.match(job_id or ""):
+        raise JobNotFound(job_id)
+    return os.path.join(settings.job_dir, f"{job_id}.json")
+
+def _read(job_id: str) -> dict:
+    try:
+        with open(_job_path(job_id)) as f:
+            return json.load(f)
+    except FileNotFoundError:
+        raise JobNotFound(job_id)
+
+def _write(job: dict) -> None:
+    # Write then rename, so a poll never reads a half-written file
+    path = _job_path(job["job_id"])
+    with open(f"{path}.tmp", "w") as f:
+        json.dump(job, f)
+    os.replace(f"{path}.tmp", path)
+
+def _update(job_id: str, **changes) -> bool:
+    """Apply changes to a stored job; False if it has been deleted (cancelled)."""
+    with _lock:
+        try:
+            job = _read(job_id)
+        except JobNotFound:
+            return False
+        job.update(changes, updated_at=time.time())
+        _write(job)
+        return True
+
+def _public(job: dict) -> dict:
+    return {field: job.get(field) for field in _PUBLIC_FIELDS}
+
+def _remove_expired_jobs() -> None:
+    # Jobs still queued or running here are kept however long they take; the
+    # ones an earlier process left unfinished will never finish, so they go too
+    cutoff = time.time() - settings.job_ttl_seconds
+    with _lock:
+        for name in os.listdir(settings.job_dir):
+            if name.endswith(".json") and name[:-len(".json")] in _active:
+                continue
+            path = os.path.join(settings.job_dir, name)
+            try:
+                if os.path.getmtime(path) < cutoff:
+                    os.remove(path)
+            except FileNotFoundError:
+                pass
+
+def _run(
+    job_id: str,
+    work: Callable[[], Iterator[Tuple[str, Optional[dict]]]],
+    on_success: Optional[Callable[[], None]],
+) -> None:
+    stage = "received"
+    try:
+        if not _update(job_id, status="running"):
+            return
+        for stage, result in work():
+            # Stop between stages once the job has been cancelled
+            if not _update(job_id, stage=stage):
+                return
+            if result is not None:
+                _update(job_id, status="succeeded", result=result)
+                if on_success:
+                    on_success()
+    except Exception as e:
+        print(f"Analysis job {job_id} failed during {stage}: {e!r}")
+        _update(job_id, status="failed", error=error_envelope(e, stage))
+    finally:
+        _active.discard(job_id)
+
+def create_job(
+    work: Callable[[], Iterator[Tuple[str, Optional[dict]]]],
+    on_success: Optional[Callable[[], None]] = None,
+) -> dict:
+    """
+    Queue `work`, a generator of (stage, result) like _run_analysis, and return
+    the new job. on_success runs after the result has been stored.
+
+    Finished jobs older than settings.job_ttl_seconds are removed first.
+    """
+    os.makedirs(settings.job_dir, exist_ok=True)
+    _remove_expired_jobs()
+
+    now = time.time()
+    job = {
+        "job_id": uuid.uuid4().hex,
+        "status": "queued",
+        "stage": "received",
+        "result": None,
+        "error": None,
+        "created_at": now,
+        "updated_at": now,
+    }
+    _write(job)
+    _active.add(job["job_id"])
+    _executor.submit(_run, job["job_id"], work, on_success)
+    return _public(job)
+
+def get_job(job_id: str) -> dict:
+    job = _read(job_id)
+    if job["status"] in ("queued", "running") and job_id not in _active:
+        error = {
+            "code": "JOB_INTERRUPTED",
+            "message": "The server restarted before the analysis finished",
+            "retryable": True,
+            "stage": job["stage"],
+        }
+        _update(job_id, status="failed", error=error)
+        job.update(status="failed", error=error)
+    return _public(job)
+
+def delete_job(job_id: str) -> None:
+    """Forget a job; if it is still running, it stops before its next stage."""
+    path = _job_path(job_id)
+    with _lock:
+        try:
+            os.remove(path)
+        except FileNotFoundError:
+            raise JobNotFound(job_id)
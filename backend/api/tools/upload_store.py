@@ -0,0 +1,167 @@
+import json
+import math
+import os
+import re
+import shutil
+import time
+import uuid
+from typing import BinaryIO, List, Tuple
+from config import settings
+from exceptions import InvalidUploadChunk, UploadIncomplete, UploadNotFound
+
+# Resumable uploads: the client opens a session, PUTs the file in fixed-size
+# chunks (retrying any that fail, in any order), then passes the upload_id to
+# /analyze, which reassembles the chunks. Each session is a directory under
+# settings.upload_dir holding meta.json and one file per received chunk.
+
+CHUNK_SIZE = 5 * 1024 * 1024
+_UPLOAD_ID_REGEX = re.compile(r"^[0-9a-f]{32}$")
+
+def _session_dir(upload_id: str) -> str:
+    # The id ends up in a path, so only accept ids we could have generated
+    if not _UPLOAD_ID_REGEX.match(upload_id or ""):
+        raise UploadNotFound(upload_id)
+    return os.path.join(settings.upload_dir, upload_id)
+
+def _chunk_path(session_dir: str, index: int) -> str:
+    return os.path.join(session_dir, f"{index:06d}.part")
+
+def _load_meta(upload_id: str) -> Tuple[str, dict]:
+    session_dir = _session_dir(upload_id)
+    try:
+        with open(os.path.join(session_dir, "meta.json")) as f:
+            return session_dir, json.load(f)
+    except FileNotFoundError:
+        raise UploadNotFound(upload_id)
+
+def _received_chunks(session_dir: str, meta: dict) -> List[int]:
+    return [i for i in range(meta["chunk_count"]) if os.path.exists(_chunk_path(session_dir, i))]
+
+def _status(upload_id: str, session_dir: str, meta: dict) -> dict:
+    return {
+        "upload_id": upload_id,
+        "size": meta["size"],
+        "chunk_size": meta["chunk_size"],
+        "chunk_count": meta["chunk_count"],
+        "received": _received_chunks(session_dir, meta),
+    }
+
+def _remove_expired_sessions() -> None:
+    if not os.path.isdir(settings.upload_dir):
+        return
+    cutoff = time.time() - settings.upload_session_ttl_seconds
+    for name in os.listdir(settings.upload_dir):
+        path = os.path.join(settings.upload_dir, name)
+        if os.path.isdir(path) and os.path.getmtime(path) < cutoff:
+            shutil.rmtree(path, ignore_errors=True)
+
+def create_upload_session(filename: str, content_type: str, size: int) -> dict:
+    """
+    Open an upload session and return its status (upload_id, chunk_size, ...).
+
+    Sessions older than settings.upload_session_ttl_seconds are removed first.
+    """
+    if size <= 0 or size > settings.max_upload_bytes:
+        raise InvalidUploadChunk(f"file size must be between 1 and {settings.max_upload_bytes} bytes")
+
+    _remove_expired_sessions()
+
+    upload_id = uuid.uuid4().hex
+    session_dir = _session_dir(upload_id)
+    os.makedirs(session_dir)
+    meta = {
+        "filename": filename,
+        "content_type": content_type,
+        "size": size,
+        "chunk_size": CHUNK_SIZE,
+        "chunk_count": math.ceil(size / CHUNK_SIZE),
+    }
+    with open(os.path.join(session_dir, "meta.json"), "w") as f:
+        json.dump(meta, f)
+    return _status(upload_id, session_dir, meta)
+
+def get_upload_status(upload_id: str) -> dict:
+    session_dir, meta = _load_meta(upload_id)
+    return _status(upload_id, session_dir, meta)
+
+def save_chunk(upload_id: str, index: int, data: bytes) -> dict:
+    """
+    Store one chunk and return the session status. Re-sending a chunk replaces it.
+    """
+    session_dir, meta = _load_meta(upload_id)
+    if index < 0 or index >= meta["chunk_count"]:
+        raise InvalidUploadChunk(f"index must be between 0 and {meta['chunk_count'] - 1}")
+
+    expected = meta["chunk_size"] if index < meta["chunk_count"] - 1 \
+        else meta["size"] - meta["chunk_size"] * (meta["chunk_count"] - 1)
+    if len(data) != expected:
+        raise InvalidUploadChunk(f"chunk {index} must be {expected} bytes, got {len(data)}")
+
+    # Write then rename, so a dropped connection never leaves a partial chunk behind
+    path = _chunk_path(session_dir, index)
+    with open(f"{path}.tmp", "wb") as f:
+        f.write(data)
+    os.replace(f"{path}.tmp", path)
+    os.utime(session_dir)
+    return _status(upload_id, session_dir, meta)
+
+def store_upload(stream: BinaryIO, filename: str, content_type: str) -> str:
+    """
+    Save a file received in one request as a finished upload session and
+    return its upload_id, so it can be read back with assemble_upload later.
+    """
+    _remove_expired_sessions()
+
+    upload_id = uuid.uuid4().hex
+    session_dir = _session_dir(upload_id)
+    os.makedirs(session_dir)
+    size = chunk_count = 0
+    while True:
+        data = stream.read(CHUNK_SIZE)
+        if not data:
+            break
+        with open(_chunk_path(session_dir, chunk_count), "wb") as f:
+            f.write(data)
+        size += len(data)
+        chunk_count += 1
+
+    meta = {
+        "filename": filename,
+        "content_type": content_type,
+        "size": size,
+        "chunk_size": CHUNK_SIZE,
+        "chunk_count": chunk_count,
+    }
+    with open(os.path.join(session_dir, "meta.json"), "w") as f:
+        json.dump(meta, f)
+    return upload_id
+
+def _finished_meta(upload_id: str) -> Tuple[str, dict]:
+    session_dir, meta = _load_meta(upload_id)
+    missing = meta["chunk_count"] - len(_received_chunks(session_dir, meta))
+    if missing > 0:
+        raise UploadIncomplete(f"{missing} of {meta['chunk_count']} chunks have not been received")
+    return session_dir, meta
+
+def get_upload_content_type(upload_id: str) -> str:
+    """The content type of a finished upload; raises UploadIncomplete if any chunk is missing."""
+    return _finished_meta(upload_id)[1]["content_type"]
+
+def assemble_upload(upload_id: str) -> Tuple[bytes, str]:
+    """
+    Join the chunks of a finished upload and return (file_bytes, content_type).
+
+    Raises UploadIncomplete if any chunk is missing. The session is kept so a
+    failed analysis can be retried without uploading again; call
+    discard_upload once the analysis has succeeded.
+    """
+    session_dir, meta = _finished_meta(upload_id)
+
+    parts = []
+    for index in range(meta["chunk_count"]):
+        with open(_chunk_path(session_dir, index), "rb") as f:
+            parts.append(f.read())
+    return b"".join(parts), meta["content_type"]
+
+def discard_upload(upload_id: str) -> None:
+    shutil.rmtree(_session_dir(upload_id), ignore_errors=True)
@@ -1,3 +1,5 @@
+import os
+import tempfile
 from pydantic_settings import BaseSettings, SettingsConfigDict
 from dotenv import load_dotenv
 load_dotenv('.env')  
@@ -10,6 +12,22 @@ class Settings(BaseSettings):
     sample_rate: int = 16000
     audio_channels: int = 1
     whisper_model_size: str = "base"
+    # Chunked uploads are stored here until the analysis reassembles them
+    upload_dir: str = os.path.join(tempfile.gettempdir(), "presense-uploads")
+    max_upload_bytes: int = 500 * 1024 * 1024
+    upload_session_ttl_seconds: int = 24 * 3600
+    # Background analysis jobs: status files, how long finished jobs are kept,
+    # and how many analyses run at once
+    job_dir: str = os.path.join(tempfile.gettempdir(), "presense-jobs")
+    job_ttl_seconds: int = 24 * 3600
+    max_concurrent_jobs: int = 2
+    # Comma-separated origins allowed to call the API from a browser (the
+    # deployed frontend and the dev server); no trailing slash
+    cors_origins: str = "https://fanciful-crepe-327cc7.netlify.app,http://localhost:3000"
+
+    @property
+    def cors_origin_list(self) -> list[str]:
+        return [origin.strip().rstrip("/") for origin in self.cors_origins.split(",") if origin.strip()]
    
 settings = Settings()
 
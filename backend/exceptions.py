@@ -1,16 +1,132 @@
+from typing import Optional
 from fastapi import HTTPException
+from starlette.exceptions import HTTPException as StarletteHTTPException
+
+class ApiError(HTTPException):
+    """
+    An error the client can act on. Besides the status and detail it has a
+    stable `code`, whether retrying the same request may succeed, and the
+    analysis stage it belongs to (see error_envelope).
+    """
+    code = "INTERNAL_ERROR"
+    retryable = True
+    stage: Optional[str] = None
+
+class UnsupportedFileType(ApiError):
+    code = "UNSUPPORTED_FILE_TYPE"
+    retryable = False
+    stage = "received"
 
-class UnsupportedFileType(HTTPException):
     def __init__(self, filename: str):
         super().__init__(status_code=400,
                          detail=f"Unsupported file type: {filename}")
 
-class AudioExtractionError(HTTPException):
+class AudioExtractionError(ApiError):
+    code = "AUDIO_EXTRACTION_FAILED"
+    retryable = False
+    stage = "extracting_audio"
+
     def __init__(self, message: str):
         super().__init__(status_code=500,
                          detail=f"Audio extraction failed: {message}")
 
-class TranscriptionError(HTTPException):
+class TranscriptionError(ApiError):
+    code = "TRANSCRIPTION_FAILED"
+    stage = "transcribing"
+
     def __init__(self, message: str):
         super().__init__(status_code=500,
                          detail=f"Transcription failed: {message}")
+
+class InvalidTrimRange(ApiError):
+    code = "INVALID_TRIM_RANGE"
+    retryable = False
+    stage = "received"
+
+    def __init__(self, message: str):
+        super().__init__(status_code=400,
+                         detail=f"Invalid trim range: {message}")
+
+class UploadNotFound(ApiError):
+    code = "UPLOAD_NOT_FOUND"
+    stage = "uploading"
+
+    def __init__(self, upload_id: str):
+        super().__init__(status_code=404,
+                         detail=f"Upload session not found: {upload_id}")
+
+class InvalidUploadChunk(ApiError):
+    code = "INVALID_UPLOAD_CHUNK"
+    stage = "uploading"
+
+    def __init__(self, message: str):
+        super().__init__(status_code=400,
+                         detail=f"Invalid upload chunk: {message}")
+
+class UploadIncomplete(ApiError):
+    code = "UPLOAD_INCOMPLETE"
+    stage = "uploading"
+
+    def __init__(self, message: str):
+        super().__init__(status_code=409,
+                         detail=f"Upload incomplete: {message}")
+
+class MissingUpload(ApiError):
+    code = "MISSING_UPLOAD"
+    retryable = False
+    stage = "received"
+
+    def __init__(self):
+        super().__init__(status_code=400,
+                         detail="Send either a file or the upload_id of a finished chunked upload")
+
+class JobNotFound(ApiError):
+    code = "JOB_NOT_FOUND"
+    retryable = False
+
+    def __init__(self, job_id: str):
+        super().__init__(status_code=404,
+                         detail=f"Analysis job not found: {job_id}")
+
+class ScoringError(ApiError):
+    code = "SCORING_FAILED"
+    stage = "scoring"
+
+    def __init__(self, message: str):
+        super().__init__(status_code=502,
+                         detail=f"Scoring failed: {message}")
+
+class ServiceMisconfigured(ApiError):
+    code = "SERVICE_MISCONFIGURED"
+    retryable = False
+
+    def __init__(self, message: str):
+        super().__init__(status_code=503,
+                         detail=f"The analysis service is misconfigured: {message}")
+
+def error_envelope(exc: Exception, stage: Optional[str] = None) -> dict:
+    """
+    The body sent for a failed request: {code, message, retryable, stage}.
+    `stage` overrides the error's own, for errors raised mid-analysis.
+    Unexpected exceptions are reported without their (internal) details.
+    """
+    if isinstance(exc, ApiError):
+        return {
+            "code": exc.code,
+            "message": exc.detail,
+            "retryable": exc.retryable,
+            "stage": stage or exc.stage,
+        }
+    if isinstance(exc, StarletteHTTPException):
+        return {
+            "code": f"HTTP_{exc.status_code}",
+            "message": exc.detail,
+            "retryable": exc.status_code >= 500 or exc.status_code in (408, 429),
+            "stage": stage,
+        }
+    return {
+        "code": "INTERNAL_ERROR",
+        "message": "Analysis failed",
+        "retryable": True,
+        "stage": stage,
+    }
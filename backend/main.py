@@ -1,6 +1,10 @@
 import uvicorn
-from fastapi import FastAPI
+from fastapi import FastAPI, Request
+from fastapi.exceptions import RequestValidationError
+from fastapi.responses import JSONResponse
+from starlette.exceptions import HTTPException as StarletteHTTPException
 from config import settings
+from exceptions import error_envelope
 from api.main import api_router
 from fastapi.middleware.cors import CORSMiddleware
 
@@ -13,12 +17,33 @@ app = FastAPI(
 app.include_router(api_router, prefix="/api/v1")
 app.add_middleware(
     CORSMiddleware,
-    allow_origins=["https://fanciful-crepe-327cc7.netlify.app/","http://localhost:3000"], 
+    allow_origins=settings.cors_origin_list,
     allow_credentials=True,
     allow_methods=["*"],  
     allow_headers=["*"],  
 )
 
+# Every error response has the same body: {"error": {code, message, retryable, stage}}
+@app.exception_handler(StarletteHTTPException)
+async def http_error_handler(request: Request, exc: StarletteHTTPException):
+    return JSONResponse(
+        status_code=exc.status_code,
+        content={"error": error_envelope(exc)},
+        headers=getattr(exc, "headers", None),
+    )
+
+@app.exception_handler(RequestValidationError)
+async def validation_error_handler(request: Request, exc: RequestValidationError):
+    return JSONResponse(
+        status_code=422,
+        content={"error": {
+            "code": "INVALID_REQUEST",
+            "message": str(exc.errors()),
+            "retryable": False,
+            "stage": None,
+        }},
+    )
+
 @app.get("/")
 async def health_check():
     return {"status": "SPURHACKS TEAM - Speech Consulting", "model": settings.whisper_model_size}
@@ -0,0 +1,13 @@
+/**
+ * Runtime configuration
+ *
+ * Loaded before the app, so a deployed build can be pointed at another
+ * backend by editing this file on the server, without rebuilding.
+ * Leave a value out to use the build-time setting (REACT_APP_API_BASE_URL,
+ * REACT_APP_SUPPORT_EMAIL, REACT_APP_ANALYSIS_CLIENT).
+ */
+window.PRESENSE_CONFIG = {
+  // apiBaseUrl: 'http://localhost:8000',
+  // supportEmail: 'support@example.com',
+  // analysisClient: 'mock'  // Sample results from mockdata.json, no backend needed
+};
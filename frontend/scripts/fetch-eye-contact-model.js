@@ -0,0 +1,34 @@
+/**
+ * Downloads a Teachable Machine eye-contact model into public/models/eye-contact/
+ *
+ * Usage: npm run fetch-eye-contact-model [-- <model URL ending in "/">]
+ * Without a URL, the hosted model the app was trained with is downloaded.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MODEL_URL = 'https://teachablemachine.withgoogle.com/models/9kLQtUrC6/';
+const MODEL_FILES = ['model.json', 'metadata.json', 'weights.bin'];
+const TARGET_DIR = path.join(__dirname, '..', 'public', 'models', 'eye-contact');
+
+const download = async (url, target) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`${url}: ${response.status} ${response.statusText}`);
+  }
+  fs.writeFileSync(target, Buffer.from(await response.arrayBuffer()));
+};
+
+const main = async () => {
+  const modelUrl = process.argv[2] || DEFAULT_MODEL_URL;
+  for (const file of MODEL_FILES) {
+    await download(new URL(file, modelUrl).href, path.join(TARGET_DIR, file));
+    console.log(`Saved ${file}`);
+  }
+};
+
+main().catch(err => {
+  console.error('Could not download the eye-contact model:', err.message);
+  process.exit(1);
+});
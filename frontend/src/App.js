@@ -7,18 +7,22 @@
 
 import React, { useState, useCallback } from 'react';
 import Recorder from './components/Recorder';
+import AnalysisJobNotifications from './components/AnalysisJobNotifications';
 
 /**
  * Main Application Component
  * 
  * Renders the landing page with hero section and dashboard preview.
- * Handles navigation to the speech recorder when user clicks "Try Demo".
+ * Handles navigation to the speech recorder when user clicks "Try Demo",
+ * or when a background analysis is opened from its notification.
  * 
  * @returns {JSX.Element} The main application component
  */
 function App() {
   // State to control whether to show the recorder or landing page
   const [showRecorder, setShowRecorder] = useState(false);
+  // Finished background analysis the recorder should show
+  const [openedJob, setOpenedJob] = useState(null);
 
   /**
    * Handles the demo button click
@@ -36,11 +40,27 @@ function App() {
     setShowRecorder(false);
   }, []);
 
+  /**
+   * Handles opening a finished background analysis from its notification
+   * Shows it in the recorder, opening the recorder if needed
+   */
+  const handleOpenJob = useCallback((job) => {
+    setOpenedJob(job);
+    setShowRecorder(true);
+  }, []);
+
+  const handleJobOpened = useCallback(() => {
+    setOpenedJob(null);
+  }, []);
+
+  const notifications = <AnalysisJobNotifications onOpen={handleOpenJob} />;
+
   // Show recorder component if demo is active
   if (showRecorder) {
     return (
       <div className="animate-fade-in">
-        <Recorder onClose={handleRecorderClose} />
+        <Recorder onClose={handleRecorderClose} openedJob={openedJob} onJobOpened={handleJobOpened} />
+        {notifications}
       </div>
     );
   }
@@ -48,6 +68,8 @@ function App() {
   // Main landing page
   return (
     <div className="min-h-screen bg-page-bg flex flex-col items-center py-lg overflow-hidden">
+      {notifications}
+
       <div 
         className="max-w-layout mx-auto px-xl flex flex-col items-center gap-lg w-full mt-[6rem] md:mt-[10rem]"
       >
@@ -0,0 +1,71 @@
+/**
+ * Analysis Error Panel Component
+ *
+ * Shown on the review screen when an analysis request fails: explains what
+ * went wrong and offers the recovery actions that fit the error (see
+ * ANALYSIS_ERRORS), such as retrying, recording again or saving the recording.
+ */
+
+import React from 'react';
+import { SUPPORT_CONTACT } from '../constants';
+
+/**
+ * Analysis Error Panel Component
+ *
+ * @param {Object} props - Component props
+ * @param {{message: string, actions: Array<string>, code: string|null}} props.failure - What failed and how to recover
+ * @param {boolean} props.canRetry - False while the analysis cannot be started (e.g. service unreachable)
+ * @param {Function} props.onRetry - Sends the recording for analysis again
+ * @param {Function} props.onReRecord - Discards the recording and returns to the recorder
+ * @param {Function} props.onDownload - Saves the recording to the user's device
+ * @returns {JSX.Element} Error panel
+ */
+const AnalysisErrorPanel = ({ failure, canRetry, onRetry, onReRecord, onDownload }) => {
+  const { message, actions, code } = failure;
+  const contactSubject = encodeURIComponent(`Speech analysis failed${code ? ` (${code})` : ''}`);
+
+  return (
+    <div className="max-w-video w-full bg-red-50 border border-red-200 text-red-700 px-md py-3 rounded-md flex flex-col gap-2" role="alert">
+      <p className="text-sm font-medium">{message}</p>
+
+      {actions.includes('contact') && (
+        <p className="text-sm">
+          {SUPPORT_CONTACT.EMAIL ? (
+            <>
+              If this keeps happening, contact{' '}
+              <a href={`mailto:${SUPPORT_CONTACT.EMAIL}?subject=${contactSubject}`} className="font-semibold underline">
+                {SUPPORT_CONTACT.EMAIL}
+              </a>
+            </>
+          ) : 'If this keeps happening, contact your administrator'}
+          {code && <> and mention error code <code className="font-mono">{code}</code></>}.
+        </p>
+      )}
+
+      <div className="flex flex-wrap gap-sm">
+        {actions.includes('retry') && (
+          <button
+            type="button"
+            onClick={onRetry}
+            disabled={!canRetry}
+            className="text-sm font-semibold underline disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Try again
+          </button>
+        )}
+        {actions.includes('rerecord') && (
+          <button type="button" onClick={onReRecord} className="text-sm font-semibold underline">
+            Record again
+          </button>
+        )}
+        {actions.includes('download') && (
+          <button type="button" onClick={onDownload} className="text-sm font-semibold underline">
+            Download recording
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AnalysisErrorPanel;
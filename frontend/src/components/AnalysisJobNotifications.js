@@ -0,0 +1,75 @@
+/**
+ * Analysis Job Notifications Component
+ *
+ * Floating notices for analyses running in the background: progress while
+ * they run, then a link to the report, or to the recording if it failed.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { ANALYSIS_ERRORS, ANALYSIS_STAGES } from '../constants';
+import { dismissAnalysisJob, subscribeToAnalysisJobs } from '../utils/analysisJobs';
+
+/**
+ * Analysis Job Notifications Component
+ *
+ * @param {Object} props - Component props
+ * @param {Function} props.onOpen - Called with a finished job to show its report (or failed recording)
+ * @returns {JSX.Element|null} Notification stack, or null when nothing runs in the background
+ */
+const AnalysisJobNotifications = ({ onOpen }) => {
+  const [jobs, setJobs] = useState([]);
+
+  useEffect(() => subscribeToAnalysisJobs(allJobs => {
+    setJobs(allJobs.filter(job => job.inBackground));
+  }), []);
+
+  if (jobs.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="fixed bottom-4 right-4 z-50 flex flex-col gap-2 w-80 max-w-[calc(100vw-2rem)]" aria-live="polite">
+      {jobs.map(job => {
+        const stage = ANALYSIS_STAGES.find(item => item.id === job.stage);
+        // Failed jobs can only be reopened while the recording is still in memory
+        const canOpen = job.status === 'succeeded' || (job.status === 'failed' && job.context);
+
+        return (
+          <div
+            key={job.jobId}
+            className="bg-surface border border-border-subtle rounded-md shadow-lg px-md py-sm text-sm flex flex-col gap-1"
+            role={job.status === 'failed' ? 'alert' : 'status'}
+          >
+            <p className="font-semibold text-text-primary truncate">{job.label}</p>
+            {job.status === 'succeeded' && <p className="text-text-secondary">Your report is ready.</p>}
+            {job.status === 'failed' && (
+              <p className="text-red-700">
+                {ANALYSIS_ERRORS[job.error?.code]?.message || 'Analysis failed.'}
+              </p>
+            )}
+            {(job.status === 'queued' || job.status === 'running') && (
+              <p className="text-text-secondary">{stage ? `${stage.label}…` : 'Analyzing…'}</p>
+            )}
+
+            <div className="flex gap-sm">
+              {canOpen && (
+                <button type="button" onClick={() => onOpen(job)} className="font-semibold text-text-primary underline">
+                  {job.status === 'succeeded' ? 'View report' : 'Open recording'}
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={() => dismissAnalysisJob(job.jobId)}
+                className="text-text-secondary underline"
+              >
+                {job.status === 'queued' || job.status === 'running' ? 'Cancel' : 'Dismiss'}
+              </button>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default AnalysisJobNotifications;
@@ -0,0 +1,45 @@
+/**
+ * Audio Level Meter Component
+ *
+ * Compact microphone level bar shown on top of the webcam preview.
+ */
+
+import React from 'react';
+
+/**
+ * Audio Level Meter Component
+ *
+ * @param {Object} props - Component props
+ * @param {number} props.level - RMS input level (0-1)
+ * @param {boolean} props.isSilent - Whether the input has been silent long enough to warn
+ * @returns {JSX.Element} Microphone icon with a level bar
+ */
+const AudioLevelMeter = ({ level, isSilent }) => {
+  // Speech rarely exceeds an RMS of ~0.25, so scale it up to fill the bar
+  const percentage = Math.min(100, Math.round(level * 400));
+
+  return (
+    <div
+      className="flex items-center gap-2 bg-black bg-opacity-60 rounded-pill px-3 py-1"
+      role="meter"
+      aria-label="Microphone level"
+      aria-valuemin={0}
+      aria-valuemax={100}
+      aria-valuenow={percentage}
+    >
+      <svg className={`w-3 h-3 ${isSilent ? 'text-red-400' : 'text-white'}`} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+        <rect x="9" y="2" width="6" height="12" rx="3"></rect>
+        <path d="M5 10v1a7 7 0 0 0 14 0v-1"></path>
+        <line x1="12" y1="18" x2="12" y2="22"></line>
+      </svg>
+      <div className="w-24 bg-gray-600 rounded-full h-1.5">
+        <div
+          className={`${isSilent ? 'bg-red-400' : 'bg-emerald-400'} h-1.5 rounded-full transition-all duration-100`}
+          style={{ width: `${percentage}%` }}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default AudioLevelMeter;
@@ -0,0 +1,72 @@
+/**
+ * Audio Waveform Component
+ *
+ * Live oscilloscope-style waveform of the microphone input, used in place
+ * of the webcam preview in audio-only mode.
+ */
+
+import React, { useEffect, useRef } from 'react';
+
+/**
+ * Audio Waveform Component
+ *
+ * @param {Object} props - Component props
+ * @param {AnalyserNode|null} props.analyser - Analyser connected to the microphone
+ * @param {boolean} props.isSilent - Draws the line in red while the input is silent
+ * @returns {JSX.Element} Canvas with the live waveform
+ */
+const AudioWaveform = ({ analyser, isSilent }) => {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!analyser || !canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    const samples = new Uint8Array(analyser.fftSize);
+    let frameId;
+
+    const draw = () => {
+      // Match the canvas resolution to its displayed size
+      if (canvas.width !== canvas.clientWidth || canvas.height !== canvas.clientHeight) {
+        canvas.width = canvas.clientWidth;
+        canvas.height = canvas.clientHeight;
+      }
+
+      analyser.getByteTimeDomainData(samples);
+
+      ctx.fillStyle = '#000000';
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.lineWidth = 2;
+      ctx.strokeStyle = isSilent ? '#f87171' : '#34d399';
+      ctx.beginPath();
+
+      const step = canvas.width / samples.length;
+      for (let i = 0; i < samples.length; i++) {
+        // Samples are centred on 128
+        const y = (samples[i] / 255) * canvas.height;
+        if (i === 0) {
+          ctx.moveTo(0, y);
+        } else {
+          ctx.lineTo(i * step, y);
+        }
+      }
+      ctx.stroke();
+
+      frameId = requestAnimationFrame(draw);
+    };
+    frameId = requestAnimationFrame(draw);
+
+    return () => cancelAnimationFrame(frameId);
+  }, [analyser, isSilent]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      className="w-video max-w-full h-video bg-accent rounded-md md:w-full md:h-auto md:aspect-video"
+      aria-label="Microphone waveform"
+    />
+  );
+};
+
+export default AudioWaveform;
@@ -0,0 +1,78 @@
+/**
+ * Body Language Timeline Component
+ *
+ * Rows marking when the speaker slouched or leaned, fidgeted, and gestured.
+ * Clicking a row seeks the player to that point.
+ */
+
+import React from 'react';
+import { formatTime } from '../utils';
+
+/**
+ * One clickable timeline row with interval blocks or point markers
+ */
+const TimelineRow = ({ label, intervals, points, color, duration, onSeek }) => {
+  const handleClick = (e) => {
+    if (!onSeek) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    onSeek(((e.clientX - rect.left) / rect.width) * duration);
+  };
+
+  return (
+    <div className="flex items-center gap-2">
+      <span className="w-20 shrink-0 text-xs font-medium text-gray-600">{label}</span>
+      <div
+        onClick={handleClick}
+        className={`relative flex-1 h-2.5 rounded-full overflow-hidden bg-gray-200 ${onSeek ? 'cursor-pointer' : ''}`}
+      >
+        {intervals && intervals.map((interval, index) => (
+          <div
+            key={index}
+            className={`absolute top-0 h-full ${color}`}
+            style={{
+              left: `${(interval.start / duration) * 100}%`,
+              width: `${(Math.min(interval.end, duration) - interval.start) / duration * 100}%`
+            }}
+            title={`${formatTime(Math.round(interval.start))}–${formatTime(Math.round(interval.end))}`}
+          />
+        ))}
+        {points && points.map((time, index) => (
+          <div
+            key={index}
+            className={`absolute top-0 h-full w-1 ${color}`}
+            style={{ left: `${(time / duration) * 100}%` }}
+            title={formatTime(Math.round(time))}
+          />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Body Language Timeline Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.bodyLanguage - Summary from summarizeBodyLanguage
+ * @param {number} props.duration - Recording length in seconds
+ * @param {Function} [props.onSeek] - Called with a time in seconds when a row is clicked
+ * @returns {JSX.Element|null} Timeline rows, or nothing without a duration
+ */
+const BodyLanguageTimeline = ({ bodyLanguage, duration, onSeek }) => {
+  if (!bodyLanguage || !duration) {
+    return null;
+  }
+
+  return (
+    <div className="w-full space-y-1.5">
+      <TimelineRow label="Posture" intervals={bodyLanguage.slouches} color="bg-amber-400" duration={duration} onSeek={onSeek} />
+      <TimelineRow label="Fidgeting" intervals={bodyLanguage.fidgets} color="bg-red-400" duration={duration} onSeek={onSeek} />
+      <TimelineRow label="Gestures" points={bodyLanguage.gestures} color="bg-emerald-500" duration={duration} onSeek={onSeek} />
+      <div className="flex justify-end text-xs font-medium text-gray-600">
+        <span>{formatTime(Math.round(duration))}</span>
+      </div>
+    </div>
+  );
+};
+
+export default BodyLanguageTimeline;
@@ -1,4 +1,8 @@
-import React, { useState } from 'react';
+import React, { useState, useRef } from 'react';
+import SegmentTimeline from './SegmentTimeline';
+import EyeContactTimeline from './EyeContactTimeline';
+import BodyLanguageTimeline from './BodyLanguageTimeline';
+import { formatTime } from '../utils';
 
 // Simple icons as SVG components
 const TrendingUpIcon = () => (
@@ -77,9 +81,10 @@ const VolumeIcon = () => (
   </svg>
 );
 
-function Dashboard({ onBack, recordingBlob, analysisData }) {
+function Dashboard({ onBack, backLabel = '← Back to Recording', recordingBlob, analysisData }) {
   const [isPlaying, setIsPlaying] = useState(false);
   const [volume, setVolume] = useState(75);
+  const videoRef = useRef(null);
 
   // If no data yet, render nothing (parent keeps showing LoadingScreen)
   if (!analysisData) {
@@ -98,11 +103,13 @@ function Dashboard({ onBack, recordingBlob, analysisData }) {
     },
     {
       title: "Eye Contact",
-      value: `${data.eyeContactScore}%`,
+      // Null when it could not be measured (uploads, audio-only, model unavailable)
+      value: data.eyeContactScore == null ? "Unavailable" : `${data.eyeContactScore}%`,
+      note: data.eyeContactScore == null ? (data.eyeContactUnavailable || "Not measured for this recording.") : null,
       color: "bg-white",
       textColor: "text-gray-900",
       icon: EyeIcon,
-      progress: data.eyeContactScore,
+      progress: data.eyeContactScore || 0,
     },
     {
       title: "Clarity Score",
@@ -128,10 +135,35 @@ function Dashboard({ onBack, recordingBlob, analysisData }) {
     { label: "Demonstrative", percentage: data.speechComposition.demonstrative, color: "bg-orange-500" },
   ];
 
+  const bodyLanguageMetrics = data.bodyLanguage ? [
+    { label: "Upright Posture", value: `${data.bodyLanguage.postureScore}%` },
+    {
+      label: "Head Movement",
+      // Average nose speed in shoulder widths per second
+      value: data.bodyLanguage.headMovement < 0.1 ? "Steady" : data.bodyLanguage.headMovement < 0.3 ? "Moderate" : "Restless",
+    },
+    { label: "Hand Gestures", value: `${data.bodyLanguage.gesturesPerMinute}/min` },
+    { label: "Fidgeting", value: `${data.bodyLanguage.fidgetingPercentage}% of the time` },
+  ] : [];
+
   const handleSliderChange = (setter) => (e) => {
     setter(parseInt(e.target.value));
   };
 
+  // Length of the (trimmed) take, for timelines drawn under the player
+  const recordingDuration = data.segments && data.segments.length > 0
+    ? data.segments[data.segments.length - 1].end
+    : data.eyeContactSamples && data.eyeContactSamples.length > 0
+      ? data.eyeContactSamples[data.eyeContactSamples.length - 1].time
+      : 0;
+
+  const handleSeek = (seconds) => {
+    if (videoRef.current) {
+      // Timeline times start at the trim in point; the player holds the full take
+      videoRef.current.currentTime = seconds + (data.trim ? data.trim.start : 0);
+    }
+  };
+
   return (
     <div className="min-h-screen bg-gray-50 p-4 font-manrope">
       <div className="max-w-7xl mx-auto space-y-4">
@@ -141,12 +173,26 @@ function Dashboard({ onBack, recordingBlob, analysisData }) {
             onClick={onBack}
             className="btn-secondary"
           >
-            ← Back to Recording
+            {backLabel}
           </button>
           <h1 className="text-2xl font-bold text-text-primary">Speech Analysis Dashboard</h1>
           <div className="w-32"></div>
         </div>
 
+        {/* Setup Warnings - problems the speaker chose to record with */}
+        {data.setupWarnings && data.setupWarnings.length > 0 && (
+          <div className="bg-amber-50 border border-amber-200 text-amber-900 rounded-lg p-4">
+            <p className="text-sm font-semibold">Recorded with setup issues, which may have lowered your eye-contact and body-language scores:</p>
+            <ul className="mt-1 list-disc list-inside text-sm">
+              {data.setupWarnings.map((warning) => (
+                <li key={warning.label}>
+                  <span className="font-medium">{warning.label}:</span> {warning.fix}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         {/* Main Metrics */}
         <div className="grid grid-cols-4 gap-4">
           {mainMetrics.map((metric, index) => {
@@ -160,6 +206,9 @@ function Dashboard({ onBack, recordingBlob, analysisData }) {
                         {metric.title}
                       </p>
                       <p className={`text-2xl font-bold mt-1 ${metric.textColor || ""}`}>{metric.value}</p>
+                      {metric.note && (
+                        <p className="text-xs text-gray-500 mt-1">{metric.note}</p>
+                      )}
                       {/* Progress bar */}
                       <div className="mt-2">
                         <div className={`w-full ${index === 0 ? "bg-emerald-500" : "bg-gray-200"} rounded-full h-1.5`}>
@@ -238,8 +287,16 @@ function Dashboard({ onBack, recordingBlob, analysisData }) {
             </div>
             <div className="p-4 space-y-3">
               <div className="aspect-video bg-gray-900 rounded-lg flex items-center justify-center">
-                {recordingBlob ? (
+                {recordingBlob && recordingBlob.type.startsWith('audio/') ? (
+                  <audio
+                    ref={videoRef}
+                    className="w-11/12"
+                    controls
+                    src={URL.createObjectURL(recordingBlob)}
+                  />
+                ) : recordingBlob ? (
                   <video 
+                    ref={videoRef}
                     className="w-full h-full rounded-lg object-cover"
                     controls
                     src={URL.createObjectURL(recordingBlob)}
@@ -252,6 +309,20 @@ function Dashboard({ onBack, recordingBlob, analysisData }) {
                 )}
               </div>
 
+              {/* Look-Away Timeline */}
+              {data.lookAways && data.eyeContactSamples && data.eyeContactSamples.length > 0 && (
+                <EyeContactTimeline
+                  lookAways={data.lookAways}
+                  duration={recordingDuration}
+                  onSeek={handleSeek}
+                />
+              )}
+
+              {/* Recording Segments (shown when the take was paused) */}
+              {data.segments && data.segments.length > 1 && (
+                <SegmentTimeline segments={data.segments} onSeek={handleSeek} />
+              )}
+
               {/* Video Controls */}
               <div className="space-y-3">
                 <div className="flex items-center gap-3">
@@ -314,8 +385,34 @@ function Dashboard({ onBack, recordingBlob, analysisData }) {
                   <span className="text-emerald-100 text-xs font-medium">Pauses</span>
                   <span className="font-bold text-sm">{data.pauses}</span>
                 </div>
+                {data.silences && data.silences.length > 0 && (
+                  <div className="flex justify-between items-center">
+                    <span className="text-emerald-100 text-xs font-medium">Silent Periods</span>
+                    <span className="font-bold text-sm">
+                      {data.silences.length} ({Math.round(data.silences.reduce((total, silence) => total + silence.end - silence.start, 0))}s)
+                    </span>
+                  </div>
+                )}
               </div>
 
+              {/* Time Discipline (timed practice modes) */}
+              {data.timeDiscipline && (
+                <div className="pt-3 border-t border-emerald-500 space-y-2">
+                  <div className="flex justify-between items-center">
+                    <span className="text-emerald-100 text-xs font-medium">{data.timeDiscipline.mode} Target</span>
+                    <span className="font-bold text-sm">{formatTime(data.timeDiscipline.targetSeconds)}</span>
+                  </div>
+                  <div className="flex justify-between items-center">
+                    <span className="text-emerald-100 text-xs font-medium">Time Discipline</span>
+                    <span className="font-bold text-sm">
+                      {data.timeDiscipline.status === 'on-target'
+                        ? 'On target'
+                        : `${formatTime(Math.abs(data.timeDiscipline.differenceSeconds))} ${data.timeDiscipline.status}`}
+                    </span>
+                  </div>
+                </div>
+              )}
+
               <div className="pt-3 border-t border-emerald-500">
                 <div className="text-center">
                   <div className="text-xl font-bold mb-1">{data.overallPercentage}%</div>
@@ -326,6 +423,80 @@ function Dashboard({ onBack, recordingBlob, analysisData }) {
           </div>
         </div>
 
+        {/* Body Language - shown when pose detection ran during recording */}
+        {(data.bodyLanguage || data.bodyLanguageUnavailable) && (
+          <div className="bg-white border-0 shadow-sm rounded-lg">
+            <div className="p-4 pb-3 border-b flex items-center justify-between">
+              <h3 className="text-lg font-bold text-gray-900">Body Language</h3>
+              <span className="text-2xl font-bold text-emerald-600">
+                {data.bodyLanguage ? `${data.bodyLanguage.score}%` : "Unavailable"}
+              </span>
+            </div>
+            <div className="p-4 space-y-4">
+              {data.bodyLanguage ? (
+                <>
+                  <div className="grid grid-cols-4 gap-4">
+                    {bodyLanguageMetrics.map((metric) => (
+                      <div key={metric.label}>
+                        <p className="text-xs font-medium text-gray-600">{metric.label}</p>
+                        <p className="text-lg font-bold text-gray-900">{metric.value}</p>
+                      </div>
+                    ))}
+                  </div>
+                  <BodyLanguageTimeline
+                    bodyLanguage={data.bodyLanguage}
+                    duration={recordingDuration}
+                    onSeek={handleSeek}
+                  />
+                </>
+              ) : (
+                <p className="text-sm text-gray-600">{data.bodyLanguageUnavailable}</p>
+              )}
+            </div>
+          </div>
+        )}
+
+        {/* Script Adherence - shown for recordings made in script mode */}
+        {data.scriptAdherence && (
+          <div className="bg-white border-0 shadow-sm rounded-lg">
+            <div className="p-4 pb-3 border-b flex items-center justify-between">
+              <h3 className="text-lg font-bold text-gray-900">Script Adherence</h3>
+              <span className="text-2xl font-bold text-emerald-600">{data.scriptAdherence.adherence}%</span>
+            </div>
+            <div className="p-4 space-y-3">
+              <div className="flex gap-2">
+                <span className="bg-red-100 text-red-800 border border-red-200 text-xs font-medium px-2 py-1 rounded">
+                  Skipped
+                </span>
+                <span className="bg-blue-100 text-blue-800 border border-blue-200 text-xs font-medium px-2 py-1 rounded">
+                  Added
+                </span>
+                <span className="bg-amber-100 text-amber-800 border border-amber-200 text-xs font-medium px-2 py-1 rounded">
+                  Reworded
+                </span>
+              </div>
+              <p className="text-sm text-gray-700 leading-relaxed">
+                {data.scriptAdherence.passages.map((passage, index) => {
+                  if (passage.type === 'skipped') {
+                    return <span key={index} className="bg-red-100 text-red-800 line-through rounded px-0.5">{passage.script} </span>;
+                  }
+                  if (passage.type === 'added') {
+                    return <span key={index} className="bg-blue-100 text-blue-800 rounded px-0.5">{passage.spoken} </span>;
+                  }
+                  if (passage.type === 'reworded') {
+                    return (
+                      <span key={index} className="bg-amber-100 text-amber-800 rounded px-0.5" title={`Script: "${passage.script}"`}>
+                        <span className="line-through opacity-60">{passage.script}</span> {passage.spoken}{' '}
+                      </span>
+                    );
+                  }
+                  return <span key={index}>{passage.text} </span>;
+                })}
+              </p>
+            </div>
+          </div>
+        )}
+
         {/* Personalized Feedback - Full Width Bottom */}
         <div className="bg-white border-0 shadow-sm rounded-lg">
           <div className="p-4 pb-3 border-b">
@@ -0,0 +1,105 @@
+/**
+ * Device Selector Component
+ *
+ * Lets the user choose the camera, microphone and resolution used for recording.
+ */
+
+import React from 'react';
+import { RESOLUTIONS } from '../constants';
+
+/**
+ * Labelled select input used for each device option
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.id - Input id
+ * @param {string} props.label - Visible label
+ * @param {string} props.value - Selected value
+ * @param {Array<{value: string, label: string}>} props.options - Options to choose from
+ * @param {Function} props.onChange - Called with the new value
+ * @param {boolean} props.disabled - Whether the select is disabled
+ * @returns {JSX.Element} Labelled select
+ */
+const DeviceSelect = ({ id, label, value, options, onChange, disabled }) => (
+  <div className="flex flex-col gap-xs flex-1 min-w-0">
+    <label htmlFor={id} className="text-xs font-semibold text-text-secondary">
+      {label}
+    </label>
+    <select
+      id={id}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      disabled={disabled}
+      className="h-9 px-sm rounded-md border border-border-subtle bg-surface text-sm text-text-primary truncate disabled:opacity-50 disabled:cursor-not-allowed"
+    >
+      {options.map(option => (
+        <option key={option.value} value={option.value}>
+          {option.label}
+        </option>
+      ))}
+    </select>
+  </div>
+);
+
+/**
+ * Device Selector Component
+ *
+ * @param {Object} props - Component props
+ * @param {MediaDeviceInfo[]} props.videoInputs - Available cameras
+ * @param {MediaDeviceInfo[]} props.audioInputs - Available microphones
+ * @param {Object} props.preferences - Current selection ({ videoDeviceId, audioDeviceId, resolution })
+ * @param {Function} props.onChange - Called with the updated selection
+ * @param {boolean} props.disabled - Disables the inputs (e.g. while recording)
+ * @param {boolean} props.audioOnly - Only show the microphone select
+ * @returns {JSX.Element} Camera, microphone and resolution selects
+ */
+const DeviceSelector = ({ videoInputs, audioInputs, preferences, onChange, disabled, audioOnly = false }) => {
+  const toOptions = (devices, fallbackLabel) => [
+    { value: '', label: 'System default' },
+    ...devices.map((device, index) => ({
+      value: device.deviceId,
+      label: device.label || `${fallbackLabel} ${index + 1}`
+    }))
+  ];
+
+  const resolutionOptions = Object.entries(RESOLUTIONS).map(([value, resolution]) => ({
+    value,
+    label: resolution.label
+  }));
+
+  const update = (key) => (value) => onChange({ ...preferences, [key]: value });
+
+  return (
+    <div className="flex flex-col md:flex-row gap-md w-video max-w-full md:w-full">
+      {!audioOnly && (
+        <DeviceSelect
+          id="camera-select"
+          label="Camera"
+          value={preferences.videoDeviceId}
+          options={toOptions(videoInputs, 'Camera')}
+          onChange={update('videoDeviceId')}
+          disabled={disabled}
+        />
+      )}
+      <DeviceSelect
+        id="microphone-select"
+        label="Microphone"
+        value={preferences.audioDeviceId}
+        options={toOptions(audioInputs, 'Microphone')}
+        onChange={update('audioDeviceId')}
+        disabled={disabled}
+      />
+      {!audioOnly && (
+        <DeviceSelect
+          id="resolution-select"
+          label="Resolution"
+          value={preferences.resolution}
+          options={resolutionOptions}
+          onChange={update('resolution')}
+          disabled={disabled}
+        />
+      )}
+    </div>
+  );
+};
+
+export default DeviceSelector;
@@ -0,0 +1,57 @@
+/**
+ * Eye Contact Analysis Progress Component
+ *
+ * Shown on the review screen while an uploaded or recovered video is played
+ * through the eye-contact model, with a way to skip it or retry after a failure.
+ */
+
+import React from 'react';
+
+/**
+ * Eye Contact Analysis Progress Component
+ *
+ * @param {Object} props - Component props
+ * @param {'pending'|'running'|'failed'} props.status - Analysis status
+ * @param {number|null} props.progress - Fraction analysed (0-1), or null if unknown
+ * @param {string|null} [props.error] - Reason the analysis failed
+ * @param {Function} props.onSkip - Stops the analysis; the session gets no eye-contact score
+ * @param {Function} props.onRetry - Starts the analysis again after a failure
+ * @returns {JSX.Element} Progress panel
+ */
+const EyeContactAnalysisProgress = ({ status, progress, error, onSkip, onRetry }) => {
+  if (status === 'failed') {
+    return (
+      <div className="w-video max-w-full md:w-full flex items-center justify-between gap-sm text-sm text-text-secondary" role="alert">
+        <span>Eye contact could not be analysed{error ? `: ${error}` : '.'}</span>
+        <button type="button" onClick={onRetry} className="font-semibold text-text-primary underline">
+          Try again
+        </button>
+      </div>
+    );
+  }
+
+  const percent = progress === null ? null : Math.round(progress * 100);
+
+  return (
+    <div className="w-video max-w-full md:w-full bg-surface border border-border-subtle rounded-md px-md py-sm flex flex-col gap-2">
+      <div className="flex items-center justify-between text-sm">
+        <span className="font-medium text-text-primary" aria-live="polite">
+          {status === 'pending'
+            ? 'Preparing eye-contact analysis…'
+            : `Analysing eye contact${percent !== null ? ` (${percent}%)` : '…'}`}
+        </span>
+        <button type="button" onClick={onSkip} className="text-xs font-semibold text-text-secondary underline">
+          Skip
+        </button>
+      </div>
+      <div className="w-full bg-gray-200 rounded-full h-1.5 overflow-hidden">
+        <div
+          className={`bg-emerald-600 h-1.5 rounded-full transition-all duration-300 ease-out ${percent === null ? 'w-1/3 animate-pulse' : ''}`}
+          style={percent !== null ? { width: `${percent}%` } : undefined}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default EyeContactAnalysisProgress;
@@ -0,0 +1,127 @@
+/**
+ * Eye Contact Calibration Component
+ *
+ * Guides the user through looking at the camera lens and then away, and fits
+ * a personal eye-contact threshold from the two sets of predictions.
+ */
+
+import React, { useState, useCallback } from 'react';
+import { EYE_CONTACT_CALIBRATION } from '../constants';
+import { fitEyeContactThreshold } from '../utils/eyeContact';
+
+const PHASE_INSTRUCTIONS = {
+  'looking-at': 'Look straight into your camera lens and keep still…',
+  'looking-away': 'Now look away from the camera — at your notes or the edge of your screen…'
+};
+
+/**
+ * Eye Contact Calibration Component
+ *
+ * @param {Object} props - Component props
+ * @param {Function} props.onCollect - Resolves with the probabilities sampled over a given number of milliseconds
+ * @param {Function} props.onSave - Called with the fitted { threshold, accuracy }
+ * @param {Function} props.onReset - Clears the saved calibration
+ * @param {Function} props.onClose - Closes the panel
+ * @param {Object|null} props.calibration - Currently saved calibration
+ * @returns {JSX.Element} Calibration panel
+ */
+const EyeContactCalibration = ({ onCollect, onSave, onReset, onClose, calibration }) => {
+  const [phase, setPhase] = useState('intro'); // 'intro', 'looking-at', 'looking-away', 'result', 'failed'
+  const [result, setResult] = useState(null);
+
+  const collectPhase = useCallback(async (nextPhase) => {
+    setPhase(nextPhase);
+    // Give the user a moment to move their gaze before sampling
+    await new Promise(resolve => setTimeout(resolve, EYE_CONTACT_CALIBRATION.SETTLE_MS));
+    return onCollect(EYE_CONTACT_CALIBRATION.PHASE_MS);
+  }, [onCollect]);
+
+  const handleStart = useCallback(async () => {
+    try {
+      const lookingAt = await collectPhase('looking-at');
+      const lookingAway = await collectPhase('looking-away');
+      const fitted = fitEyeContactThreshold(lookingAt, lookingAway);
+      setResult(fitted);
+      setPhase(fitted ? 'result' : 'failed');
+    } catch (err) {
+      console.error('Eye-contact calibration failed:', err);
+      setPhase('failed');
+    }
+  }, [collectPhase]);
+
+  const isSampling = phase === 'looking-at' || phase === 'looking-away';
+
+  return (
+    <div className="w-video max-w-full md:w-full bg-surface border border-border-subtle rounded-md px-md py-sm flex flex-col gap-sm">
+      <div className="flex items-center justify-between">
+        <span className="text-sm font-semibold text-text-primary">Eye-contact calibration</span>
+        {!isSampling && (
+          <button type="button" onClick={onClose} className="text-xs font-semibold text-text-secondary underline">
+            Close
+          </button>
+        )}
+      </div>
+
+      {phase === 'intro' && (
+        <>
+          <p className="text-sm text-text-secondary">
+            Takes about {Math.round((EYE_CONTACT_CALIBRATION.SETTLE_MS + EYE_CONTACT_CALIBRATION.PHASE_MS) * 2 / 1000)} seconds.
+            Sit as you will when recording, look at the lens when asked, then look away.
+            {calibration && ` Current threshold: ${Math.round(calibration.threshold * 100)}%.`}
+          </p>
+          <div className="flex gap-sm">
+            <button type="button" onClick={handleStart} className="btn-primary">
+              Start calibration
+            </button>
+            {calibration && (
+              <button type="button" onClick={onReset} className="btn-secondary">
+                Reset to default
+              </button>
+            )}
+          </div>
+        </>
+      )}
+
+      {isSampling && (
+        <p className="text-sm font-medium text-text-primary" aria-live="assertive">
+          {PHASE_INSTRUCTIONS[phase]}
+        </p>
+      )}
+
+      {phase === 'result' && result && (
+        <>
+          <p className="text-sm text-text-secondary">
+            Your threshold: <span className="font-semibold text-text-primary">{Math.round(result.threshold * 100)}%</span>
+            {' '}(told the two apart {Math.round(result.accuracy * 100)}% of the time).
+          </p>
+          {result.accuracy < EYE_CONTACT_CALIBRATION.MIN_ACCURACY && (
+            <p className="text-sm font-medium text-amber-700">
+              The model struggled to tell when you were looking away. Try better lighting or centring your camera, then calibrate again.
+            </p>
+          )}
+          <div className="flex gap-sm">
+            <button type="button" onClick={() => onSave(result)} className="btn-primary">
+              Save
+            </button>
+            <button type="button" onClick={handleStart} className="btn-secondary">
+              Try again
+            </button>
+          </div>
+        </>
+      )}
+
+      {phase === 'failed' && (
+        <>
+          <p className="text-sm font-medium text-red-600" role="alert">
+            Calibration could not read your webcam. Check that your face is visible and try again.
+          </p>
+          <button type="button" onClick={handleStart} className="btn-secondary self-start">
+            Try again
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default EyeContactCalibration;
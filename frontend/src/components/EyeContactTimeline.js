@@ -0,0 +1,76 @@
+/**
+ * Eye Contact Timeline Component
+ *
+ * Shows when the speaker looked away from the camera as red blocks on a
+ * strip spanning the recording. Clicking the strip seeks the player.
+ */
+
+import React from 'react';
+import { formatTime } from '../utils';
+
+/**
+ * Eye Contact Timeline Component
+ *
+ * @param {Object} props - Component props
+ * @param {Array<{start: number, end: number}>} props.lookAways - Look-away intervals in seconds
+ * @param {number} props.duration - Recording length in seconds
+ * @param {Function} [props.onSeek] - Called with a time in seconds when the strip is clicked
+ * @returns {JSX.Element|null} Timeline strip, or nothing without a duration
+ */
+const EyeContactTimeline = ({ lookAways, duration, onSeek }) => {
+  if (!lookAways || !duration) {
+    return null;
+  }
+
+  const handleStripClick = (e) => {
+    if (!onSeek) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    onSeek(((e.clientX - rect.left) / rect.width) * duration);
+  };
+
+  const lookAwaySeconds = lookAways.reduce((total, interval) => total + (interval.end - interval.start), 0);
+
+  return (
+    <div className="w-full">
+      <div className="flex justify-between mb-1 text-xs font-semibold text-gray-700">
+        <span>Eye Contact Timeline</span>
+        <span className="flex items-center gap-2 font-medium text-gray-600">
+          <span className="inline-block w-2 h-2 rounded-full bg-emerald-500" /> On camera
+          <span className="inline-block w-2 h-2 rounded-full bg-red-400 ml-1" /> Looking away
+        </span>
+      </div>
+
+      {/* Strip */}
+      <div
+        onClick={handleStripClick}
+        className={`relative w-full h-3 rounded-full overflow-hidden bg-emerald-500 ${onSeek ? 'cursor-pointer' : ''}`}
+        role="img"
+        aria-label={`Looked away ${lookAways.length} times`}
+      >
+        {lookAways.map((interval, index) => (
+          <div
+            key={index}
+            className="absolute top-0 h-full bg-red-400"
+            style={{
+              left: `${(interval.start / duration) * 100}%`,
+              width: `${(Math.min(interval.end, duration) - interval.start) / duration * 100}%`
+            }}
+            title={`${formatTime(Math.round(interval.start))}–${formatTime(Math.round(interval.end))}`}
+          />
+        ))}
+      </div>
+
+      {/* Summary */}
+      <div className="flex justify-between mt-1 text-xs font-medium text-gray-600">
+        <span>
+          {lookAways.length === 0
+            ? 'No look-aways detected'
+            : `${lookAways.length} ${lookAways.length === 1 ? 'look-away' : 'look-aways'}, ${formatTime(Math.round(lookAwaySeconds))} in total`}
+        </span>
+        <span>{formatTime(Math.round(duration))}</span>
+      </div>
+    </div>
+  );
+};
+
+export default EyeContactTimeline;
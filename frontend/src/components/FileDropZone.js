@@ -0,0 +1,82 @@
+/**
+ * File Drop Zone Component
+ *
+ * Drag-and-drop area with a file picker fallback for analyzing an existing
+ * recording (e.g. a Zoom export or phone video) instead of recording live.
+ */
+
+import React, { useState, useRef } from 'react';
+import { UPLOAD_SETTINGS } from '../constants';
+
+/**
+ * File Drop Zone Component
+ *
+ * @param {Object} props - Component props
+ * @param {Function} props.onFileSelected - Called with the dropped or picked File
+ * @param {boolean} props.disabled - Disables the drop zone (e.g. while recording)
+ * @returns {JSX.Element} Drop zone with a browse button
+ */
+const FileDropZone = ({ onFileSelected, disabled }) => {
+  const inputRef = useRef(null);
+  const [isDragging, setIsDragging] = useState(false);
+
+  const accept = Object.keys(UPLOAD_SETTINGS.ACCEPTED_EXTENSIONS).map(ext => `.${ext}`).join(',');
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    if (!disabled) {
+      setIsDragging(true);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    if (!disabled && e.dataTransfer.files.length > 0) {
+      onFileSelected(e.dataTransfer.files[0]);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    if (e.target.files.length > 0) {
+      onFileSelected(e.target.files[0]);
+    }
+    // Allow picking the same file again after an error
+    e.target.value = '';
+  };
+
+  return (
+    <div
+      onDragOver={handleDragOver}
+      onDragLeave={() => setIsDragging(false)}
+      onDrop={handleDrop}
+      className={`w-video max-w-full md:w-full border-2 border-dashed rounded-md px-md py-lg text-center transition-all duration-200 ${
+        isDragging ? 'border-emerald-500 bg-emerald-50' : 'border-border-subtle bg-surface'
+      } ${disabled ? 'opacity-50' : ''}`}
+    >
+      <p className="text-sm font-medium text-text-secondary">
+        Already have a recording? Drop a WebM, MP4, MOV or M4A file here, or{' '}
+        <button
+          type="button"
+          onClick={() => inputRef.current && inputRef.current.click()}
+          disabled={disabled}
+          className="font-semibold text-text-primary underline disabled:cursor-not-allowed"
+        >
+          browse
+        </button>
+        .
+      </p>
+      <input
+        ref={inputRef}
+        type="file"
+        accept={accept}
+        onChange={handleInputChange}
+        disabled={disabled}
+        className="hidden"
+        aria-label="Upload a recording"
+      />
+    </div>
+  );
+};
+
+export default FileDropZone;
@@ -0,0 +1,80 @@
+/**
+ * Framing Checklist Component
+ *
+ * Shows the result of the pre-recording lighting and framing check with a
+ * concrete fix for every failed item.
+ */
+
+import React from 'react';
+
+/**
+ * Framing Checklist Component
+ *
+ * @param {Object} props - Component props
+ * @param {'running'|'done'|'failed'} props.status - Check status
+ * @param {{passed: boolean, items: Array<Object>}|null} props.result - Result of runFramingCheck
+ * @param {boolean} props.acknowledged - Whether the user chose to record despite the warnings
+ * @param {Function} props.onRecheck - Runs the check again
+ * @param {Function} props.onProceed - Records anyway, keeping the warnings with the session
+ * @returns {JSX.Element|null} Checklist panel, or nothing once everything passed
+ */
+const FramingChecklist = ({ status, result, acknowledged, onRecheck, onProceed }) => {
+  if (status === 'running') {
+    return (
+      <p className="text-sm font-medium text-text-secondary" aria-live="polite">
+        Checking your lighting and framing…
+      </p>
+    );
+  }
+
+  if (status === 'failed') {
+    return (
+      <div className="w-video max-w-full md:w-full flex items-center justify-between gap-sm text-sm text-text-secondary">
+        <span>The setup check could not read your webcam.</span>
+        <button type="button" onClick={onRecheck} className="font-semibold text-text-primary underline">
+          Try again
+        </button>
+      </div>
+    );
+  }
+
+  if (!result || result.passed) {
+    return null;
+  }
+
+  return (
+    <div className="w-video max-w-full md:w-full bg-amber-50 border border-amber-200 text-amber-900 px-md py-3 rounded-md" role="alert">
+      <p className="text-sm font-semibold mb-2">Check your setup before recording</p>
+      <ul className="space-y-1.5 mb-3">
+        {result.items.map(item => (
+          <li key={item.id} className="text-sm flex gap-2">
+            <span aria-hidden="true" className={item.skipped ? 'text-gray-400' : item.passed ? 'text-emerald-600' : 'text-amber-600'}>
+              {item.skipped ? '–' : item.passed ? '✓' : '!'}
+            </span>
+            <span>
+              <span className="font-medium">{item.label}</span>
+              {item.fix && <span className="block text-amber-800">{item.fix}</span>}
+            </span>
+          </li>
+        ))}
+      </ul>
+      <div className="flex flex-wrap gap-sm">
+        <button type="button" onClick={onRecheck} className="btn-secondary">
+          Check again
+        </button>
+        {!acknowledged && (
+          <button type="button" onClick={onProceed} className="btn-secondary">
+            Record anyway
+          </button>
+        )}
+        {acknowledged && (
+          <span className="text-xs font-medium self-center">
+            Recording enabled. These warnings will be shown with your results.
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FramingChecklist;
@@ -0,0 +1,112 @@
+/**
+ * Interview Session Dashboard Component
+ *
+ * Summary of a multi-question interview drill: aggregate scores across all
+ * answers plus a per-answer breakdown that opens the full Dashboard.
+ */
+
+import React from 'react';
+import { aggregateSessionScores } from '../utils/interview';
+
+/**
+ * Scores shown as aggregate cards
+ */
+const SUMMARY_METRICS = [
+  { key: 'overallPercentage', title: 'Overall Grade', suffix: '%' },
+  { key: 'confidenceScore', title: 'Confidence', suffix: '%' },
+  { key: 'eyeContactScore', title: 'Eye Contact', suffix: '%' },
+  { key: 'clarityScore', title: 'Clarity', suffix: '%' },
+  { key: 'engagementScore', title: 'Engagement', suffix: '%' }
+];
+
+/**
+ * Interview Session Dashboard Component
+ *
+ * @param {Object} props - Component props
+ * @param {Array<{question: string, analysisData: Object|null, error: string|null}>} props.answers - Session answers
+ * @param {Function} props.onSelectAnswer - Called with an answer index to open its Dashboard
+ * @param {Function} props.onBack - Returns to the recorder for a new session
+ * @returns {JSX.Element} Session summary
+ */
+const InterviewSessionDashboard = ({ answers, onSelectAnswer, onBack }) => {
+  const aggregate = aggregateSessionScores(answers);
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-4 font-manrope">
+      <div className="max-w-7xl mx-auto space-y-4">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-6">
+          <button onClick={onBack} className="btn-secondary">
+            ← New Session
+          </button>
+          <h1 className="text-2xl font-bold text-text-primary">Interview Session Results</h1>
+          <div className="w-32"></div>
+        </div>
+
+        {/* Aggregate Scores */}
+        {aggregate ? (
+          <div className="grid grid-cols-5 gap-4">
+            {SUMMARY_METRICS.map((metric, index) => (
+              <div
+                key={metric.key}
+                className={`${index === 0 ? 'bg-emerald-600 text-white' : 'bg-white text-gray-900'} border-0 shadow-sm rounded-lg p-4`}
+              >
+                <p className={`text-xs font-medium ${index === 0 ? 'text-emerald-100' : 'text-gray-600'}`}>
+                  {metric.title}
+                </p>
+                <p className="text-2xl font-bold mt-1">
+                  {aggregate[metric.key] === null ? 'N/A' : `${aggregate[metric.key]}${metric.suffix}`}
+                </p>
+                <p className={`text-xs mt-1 ${index === 0 ? 'text-emerald-100' : 'text-gray-500'}`}>
+                  Average of {aggregate.answersAnalysed} {aggregate.answersAnalysed === 1 ? 'answer' : 'answers'}
+                </p>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-md py-3 rounded-md">
+            <p className="text-sm font-medium">None of the answers could be analysed. Please try another session.</p>
+          </div>
+        )}
+
+        {/* Per-Answer Breakdown */}
+        <div className="bg-white border-0 shadow-sm rounded-lg">
+          <div className="p-4 pb-3 border-b">
+            <h3 className="text-lg font-bold text-gray-900">Answers</h3>
+          </div>
+          <ul className="divide-y">
+            {answers.map((answer, index) => (
+              <li key={index} className="p-4 flex items-center justify-between gap-4">
+                <div className="flex-1 min-w-0">
+                  <p className="text-xs font-medium text-gray-500">Question {index + 1}</p>
+                  <p className="text-sm font-bold text-gray-900">{answer.question}</p>
+                  {answer.error && (
+                    <p className="text-xs font-medium text-red-600 mt-1">{answer.error}</p>
+                  )}
+                </div>
+                {answer.analysisData && (
+                  <>
+                    <div className="text-right">
+                      <p className="text-xl font-bold text-emerald-600">{answer.analysisData.overallPercentage}%</p>
+                      <p className="text-xs text-gray-500">
+                        {answer.analysisData.speechLength} · {answer.analysisData.speakingRate} WPM · {answer.analysisData.fillerWordCount} fillers
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => onSelectAnswer(index)}
+                      className="border border-emerald-200 text-emerald-600 hover:bg-emerald-50 font-medium px-3 py-1 rounded text-sm"
+                    >
+                      View Details
+                    </button>
+                  </>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default InterviewSessionDashboard;
@@ -0,0 +1,83 @@
+/**
+ * Interview Setup Component
+ *
+ * Options for an interview drill: question category, number of questions
+ * and re-drawing the questions before the session starts.
+ */
+
+import React from 'react';
+import { INTERVIEW_SETTINGS } from '../constants';
+
+/**
+ * Interview Setup Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.bank - Question bank ({ categories: [{ id, label, questions }] })
+ * @param {string} props.categoryId - Selected category
+ * @param {Function} props.onCategoryChange - Called with the new category id
+ * @param {number} props.questionCount - Selected number of questions
+ * @param {Function} props.onQuestionCountChange - Called with the new count
+ * @param {Function} props.onShuffle - Draws a new set of questions
+ * @param {boolean} props.disabled - Disables the controls once the session has started
+ * @returns {JSX.Element} Interview setup controls
+ */
+const InterviewSetup = ({
+  bank,
+  categoryId,
+  onCategoryChange,
+  questionCount,
+  onQuestionCountChange,
+  onShuffle,
+  disabled
+}) => (
+  <div className="flex flex-wrap items-end justify-center gap-md">
+    <div className="flex flex-col gap-xs">
+      <label htmlFor="interview-category" className="text-xs font-semibold text-text-secondary">
+        Question Category
+      </label>
+      <select
+        id="interview-category"
+        value={categoryId}
+        onChange={(e) => onCategoryChange(e.target.value)}
+        disabled={disabled}
+        className="h-9 px-sm rounded-md border border-border-subtle bg-surface text-sm text-text-primary disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {bank.categories.map(category => (
+          <option key={category.id} value={category.id}>
+            {category.label}
+          </option>
+        ))}
+      </select>
+    </div>
+
+    <div className="flex flex-col gap-xs">
+      <label htmlFor="interview-count" className="text-xs font-semibold text-text-secondary">
+        Questions
+      </label>
+      <select
+        id="interview-count"
+        value={questionCount}
+        onChange={(e) => onQuestionCountChange(parseInt(e.target.value))}
+        disabled={disabled}
+        className="h-9 px-sm rounded-md border border-border-subtle bg-surface text-sm text-text-primary disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {INTERVIEW_SETTINGS.QUESTION_COUNT_OPTIONS.map(count => (
+          <option key={count} value={count}>
+            {count}
+          </option>
+        ))}
+      </select>
+    </div>
+
+    <button
+      type="button"
+      onClick={onShuffle}
+      disabled={disabled}
+      className="btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
+    >
+      Shuffle Questions
+    </button>
+  </div>
+);
+
+export default InterviewSetup;
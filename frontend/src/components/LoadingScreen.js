@@ -6,6 +6,7 @@
  */
 
 import React, { useState, useEffect } from 'react';
+import { ANALYSIS_STAGES } from '../constants';
 
 /**
  * Animated loading icon using SVG
@@ -34,15 +35,25 @@ const LoadingIcon = () => (
 /**
  * Loading Screen Component
  * 
- * Simulates speech analysis processing with progress bar and step indicators.
- * Automatically completes after 5 seconds and calls onComplete callback.
+ * With a stage, lists the analysis stages streamed by the server and fills the
+ * progress bar from them (and from the upload progress while uploading).
+ * Without one it simulates processing and, with autoComplete, calls
+ * onComplete after 10 seconds.
  * 
  * @param {Object} props - Component props
  * @param {Function} props.onComplete - Callback function called when loading completes
  * @param {boolean} props.autoComplete - Whether to automatically complete loading
+ * @param {string} props.title - Heading to display (e.g. which interview answer is being analyzed)
+ * @param {string} [props.stage] - Id of the current stage (see ANALYSIS_STAGES)
+ * @param {number} [props.uploadProgress] - Fraction of the recording uploaded (0-1)
+ * @param {Function} [props.onCancel] - Cancels the analysis; shows a Cancel button when set
+ * @param {Function} [props.onContinueInBackground] - Leaves the analysis running and frees the screen; shows a button when set
  * @returns {JSX.Element} Loading screen with progress and tips
  */
-const LoadingScreen = ({ onComplete, autoComplete = true }) => {
+const LoadingScreen = ({ onComplete, autoComplete = true, title = 'Analyzing Your Speech', stage, uploadProgress = 0, onCancel, onContinueInBackground }) => {
+  const tracksStages = typeof stage === 'string';
+  const stageIndex = Math.max(ANALYSIS_STAGES.findIndex(item => item.id === stage), 0);
+
   // State for progress percentage (0-100)
   const [progress, setProgress] = useState(0);
   
@@ -58,8 +69,9 @@ const LoadingScreen = ({ onComplete, autoComplete = true }) => {
     "Finalizing your results..."
   ];
 
-  // Progress bar animation effect
+  // Progress bar animation effect (simulated only without real stages)
   useEffect(() => {
+    if (tracksStages) return;
     const timer = setInterval(() => {
       setProgress(prev => {
         if (prev >= 100) {
@@ -76,10 +88,11 @@ const LoadingScreen = ({ onComplete, autoComplete = true }) => {
     }, 100);
 
     return () => clearInterval(timer);
-  }, [onComplete, autoComplete]);
+  }, [onComplete, autoComplete, tracksStages]);
 
-  // Step progression effect
+  // Step progression effect (simulated only without real stages)
   useEffect(() => {
+    if (tracksStages) return;
     const stepTimer = setInterval(() => {
       setCurrentStep(prev => {
         if (prev >= steps.length - 1) {
@@ -92,7 +105,11 @@ const LoadingScreen = ({ onComplete, autoComplete = true }) => {
     }, 1000);
 
     return () => clearInterval(stepTimer);
-  }, [steps.length]);
+  }, [steps.length, tracksStages]);
+
+  // Each stage fills an equal share of the bar; the upload share fills as it is sent
+  const stageProgress = ((stageIndex + (stage === 'uploading' ? uploadProgress : 0)) / (ANALYSIS_STAGES.length - 1)) * 100;
+  const displayedProgress = tracksStages ? stageProgress : progress;
 
   return (
     <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
@@ -106,33 +123,70 @@ const LoadingScreen = ({ onComplete, autoComplete = true }) => {
 
           {/* Main Title */}
           <h2 className="text-2xl font-bold text-gray-900 mb-4">
-            Analyzing Your Speech
+            {title}
           </h2>
 
           {/* Current Processing Step */}
-          <p className="text-gray-600 mb-6 h-6">
-            {steps[currentStep]}
-          </p>
+          {tracksStages ? (
+            <ol className="text-left space-y-1.5 mb-6" aria-live="polite">
+              {ANALYSIS_STAGES.map((item, index) => (
+                <li
+                  key={item.id}
+                  className={`flex items-center gap-2 text-sm ${
+                    index < stageIndex ? 'text-gray-500' : index === stageIndex ? 'font-semibold text-gray-900' : 'text-gray-400'
+                  }`}
+                >
+                  <span aria-hidden="true" className="w-4 text-center">
+                    {index < stageIndex ? '✓' : index === stageIndex ? '•' : ''}
+                  </span>
+                  {item.label}
+                  {item.id === 'uploading' && index === stageIndex && ` (${Math.round(uploadProgress * 100)}%)`}
+                </li>
+              ))}
+            </ol>
+          ) : (
+            <p className="text-gray-600 mb-6 h-6">
+              {steps[currentStep]}
+            </p>
+          )}
 
           {/* Progress Bar */}
           <div className="w-full bg-gray-200 rounded-full h-2 mb-4">
             <div 
               className="bg-emerald-600 h-2 rounded-full transition-all duration-300 ease-out"
-              style={{ width: `${progress}%` }}
+              style={{ width: `${displayedProgress}%` }}
             />
           </div>
 
           {/* Progress Percentage */}
           <p className="text-sm text-gray-500">
-            {Math.round(progress)}% Complete
+            {Math.round(displayedProgress)}% Complete
           </p>
 
-        
-          
+          {/* Cancel / Continue in background */}
+          {(onCancel || onContinueInBackground) && (
+            <div className="flex flex-wrap justify-center gap-sm mt-6">
+              {onContinueInBackground && (
+                <button type="button" onClick={onContinueInBackground} className="btn-secondary">
+                  Continue in background
+                </button>
+              )}
+              {onCancel && (
+                <button type="button" onClick={onCancel} className="btn-secondary">
+                  Cancel
+                </button>
+              )}
+            </div>
+          )}
+          {onContinueInBackground && (
+            <p className="text-sm text-text-secondary mt-2">
+              You can record something else meanwhile; we will let you know when your report is ready.
+            </p>
+          )}
         </div>
       </div>
     </div>
   );
 };
 
-export default LoadingScreen; 
\ No newline at end of file
+export default LoadingScreen;
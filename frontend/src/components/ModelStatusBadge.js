@@ -0,0 +1,43 @@
+/**
+ * Model Status Badge Component
+ *
+ * Small pill shown on top of the webcam preview telling the user whether an
+ * on-device model (e.g. eye contact) is loading, ready or unavailable.
+ */
+
+import React from 'react';
+
+const STATUS_STYLES = {
+  loading: { dot: 'bg-amber-400 animate-pulse', text: 'loading…' },
+  ready: { dot: 'bg-emerald-400', text: 'ready' },
+  unavailable: { dot: 'bg-red-400', text: 'unavailable' }
+};
+
+/**
+ * Model Status Badge Component
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.label - What the model measures (e.g. "Eye contact")
+ * @param {'idle'|'loading'|'ready'|'unavailable'} props.status - Model load status
+ * @param {string|null} [props.message] - Reason shown as a tooltip when unavailable
+ * @returns {JSX.Element|null} Status pill, or nothing before loading starts
+ */
+const ModelStatusBadge = ({ label, status, message }) => {
+  const style = STATUS_STYLES[status];
+  if (!style) {
+    return null;
+  }
+
+  return (
+    <div
+      className="flex items-center gap-2 bg-black bg-opacity-60 rounded-pill px-3 py-1 text-xs font-medium text-white"
+      role="status"
+      title={message || undefined}
+    >
+      <span className={`inline-block w-2 h-2 rounded-full ${style.dot}`} />
+      {label} {style.text}
+    </div>
+  );
+};
+
+export default ModelStatusBadge;
@@ -0,0 +1,63 @@
+/**
+ * Practice Mode Selector Component
+ *
+ * Tabs for choosing a practice format (free practice or a fixed target
+ * length) plus the option to stop automatically when time is up.
+ */
+
+import React from 'react';
+import { PRACTICE_MODES } from '../constants';
+
+/**
+ * Practice Mode Selector Component
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.modeId - Selected practice mode id
+ * @param {Function} props.onModeChange - Called with the new mode id
+ * @param {boolean} props.autoStop - Whether recording stops at the target length
+ * @param {Function} props.onAutoStopChange - Called with the new auto-stop value
+ * @param {boolean} props.disabled - Disables the controls (e.g. while recording)
+ * @returns {JSX.Element} Mode tabs and auto-stop toggle
+ */
+const PracticeModeSelector = ({ modeId, onModeChange, autoStop, onAutoStopChange, disabled }) => {
+  const selectedMode = PRACTICE_MODES.find(mode => mode.id === modeId);
+
+  return (
+    <div className="flex flex-col items-center gap-sm">
+      <div className="flex flex-wrap justify-center gap-sm" role="tablist" aria-label="Practice mode">
+        {PRACTICE_MODES.map(mode => (
+          <button
+            key={mode.id}
+            type="button"
+            role="tab"
+            aria-selected={mode.id === modeId}
+            onClick={() => onModeChange(mode.id)}
+            disabled={disabled}
+            className={`rounded-pill h-8 px-md text-button font-semibold transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed ${
+              mode.id === modeId
+                ? 'bg-accent text-surface'
+                : 'bg-tab-inactive-bg text-tab-inactive-text hover:bg-gray-200'
+            }`}
+          >
+            {mode.label}
+          </button>
+        ))}
+      </div>
+
+      {selectedMode && selectedMode.targetSeconds && (
+        <label className="flex items-center gap-2 text-sm text-text-secondary">
+          <input
+            type="checkbox"
+            checked={autoStop}
+            onChange={(e) => onAutoStopChange(e.target.checked)}
+            disabled={disabled}
+            className="accent-emerald-500"
+          />
+          Stop automatically when time is up
+        </label>
+      )}
+    </div>
+  );
+};
+
+export default PracticeModeSelector;
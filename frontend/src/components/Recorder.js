@@ -3,24 +3,148 @@
  * 
  * A comprehensive recording interface that handles:
  * - Video/audio recording using WebRTC
- * - Recording review and playback
+ * - Pausing and resuming a take, tracked as recording segments
+ * - Camera/microphone selection and device hot-swap handling
+ * - Microphone level metering and silent-input detection
+ * - Timed practice modes with countdown and auto-stop
+ * - Script mode with a teleprompter and script-adherence scoring
+ * - Interview drills with one recorded answer per question
+ * - Uploading an existing recording instead of recording live
+ * - Presentation mode: screen share composited with a webcam inset
+ * - Audio-only practice with a live waveform instead of video
+ * - Crash-safe recording: chunks are saved to IndexedDB and can be recovered
+ * - Per-user eye-contact calibration
+ * - Body-language analysis (posture, gestures, fidgeting) with on-device pose detection
+ * - Pre-recording lighting and framing check
+ * - Recording review and playback, with in/out trim handles
  * - Navigation to analysis and dashboard
  * - Error handling and browser compatibility
  */
 
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { 
-  MEDIA_CONSTRAINTS, 
-  MIME_TYPES
+  ANALYSIS_ERRORS,
+  ANALYSIS_STAGES,
+  API_CONFIG,
+  AUDIO_LEVEL,
+  DEFAULT_DEVICE_PREFERENCES,
+  EYE_CONTACT_MODEL,
+  INTERVIEW_QUESTION_BANK,
+  INTERVIEW_SETTINGS,
+  MIME_TYPES,
+  POSE_MODEL,
+  PRACTICE_MODES,
+  PRACTICE_TIMING,
+  RECORDING_PERSISTENCE,
+  UPLOAD_SETTINGS
 } from '../constants';
 import { 
+  downloadBlob,
   formatTime, 
   getBestMimeType, 
-  isGetUserMediaSupported 
+  getTimeDiscipline,
+  isGetUserMediaSupported,
+  prepareUploadFile
 } from '../utils';
-import { analyzeVideo } from '../utils/apiCall';
+import { analyzeVideo, checkServiceHealth, startAnalysisJob } from '../utils/analysisClient';
+import {
+  dismissAnalysisJob,
+  moveAnalysisJobToBackground,
+  subscribeToAnalysisJobs,
+  trackAnalysisJob
+} from '../utils/analysisJobs';
+import {
+  buildMediaConstraints,
+  isMissingDeviceError,
+  isTrackDeviceAvailable,
+  listMediaDevices,
+  loadDevicePreferences,
+  saveDevicePreferences
+} from '../utils/mediaDevices';
+import { createAudioLevelMonitor } from '../utils/audioLevel';
+import { compareScriptToTranscript } from '../utils/scriptAdherence';
+import { drawQuestions, loadQuestionBank } from '../utils/interview';
+import { createPresentationCompositor, isDisplayMediaSupported } from '../utils/presentation';
+import { estimatePose, extractPoseFrame, summarizeBodyLanguage } from '../utils/bodyLanguage';
+import { runFramingCheck } from '../utils/framingCheck';
+import { analyzeVideoEyeContact, createEyeContactModel, startFrameSampler } from '../utils/eyeContactInference';
+import { applyTrimToAnalysis, getTrimRange } from '../utils/trim';
+import {
+  computeLookAwayIntervals,
+  getEyeContactProbability,
+  hasEyeContactClass,
+  loadEyeContactCalibration,
+  sampleEyeContactProbabilities,
+  saveEyeContactCalibration
+} from '../utils/eyeContact';
+import {
+  beginPersistedRecording,
+  clearPersistedRecording,
+  loadUnfinishedRecording,
+  persistChunk
+} from '../utils/recordingStore';
 import LoadingScreen from './LoadingScreen';
+import EyeContactAnalysisProgress from './EyeContactAnalysisProgress';
 import Dashboard from './Dashboard';
+import SegmentTimeline from './SegmentTimeline';
+import DeviceSelector from './DeviceSelector';
+import AudioLevelMeter from './AudioLevelMeter';
+import AudioWaveform from './AudioWaveform';
+import PracticeModeSelector from './PracticeModeSelector';
+import RemainingTimeBar from './RemainingTimeBar';
+import Teleprompter from './Teleprompter';
+import InterviewSetup from './InterviewSetup';
+import InterviewSessionDashboard from './InterviewSessionDashboard';
+import FileDropZone from './FileDropZone';
+import TrimControls from './TrimControls';
+import ModelStatusBadge from './ModelStatusBadge';
+import EyeContactCalibration from './EyeContactCalibration';
+import FramingChecklist from './FramingChecklist';
+import ServiceStatusBanner from './ServiceStatusBanner';
+import AnalysisErrorPanel from './AnalysisErrorPanel';
+
+/**
+ * Framing check state before the check has run for the current stream
+ */
+const INITIAL_FRAMING_CHECK = { status: 'idle', result: null, acknowledged: false };
+
+/**
+ * Merges a backend analysis result with the metrics computed locally while recording
+ * Local metrics (eye contact, segments, silences...) take precedence over backend estimates.
+ *
+ * @param {Object|null} localData - Analysis data captured during recording
+ * @param {Object} result - Backend analysis result
+ * @returns {Object} Combined analysis data for the Dashboard
+ */
+function mergeAnalysisResult(localData, result) {
+  const merged = { ...result, ...localData };
+  // Score the transcript against the script the speech was recorded from
+  if (merged.script && result.transcript) {
+    merged.scriptAdherence = compareScriptToTranscript(merged.script, result.transcript);
+  }
+  return merged;
+}
+
+/**
+ * Describes a failed analysis request and the recovery actions to offer
+ * Known error codes use the messages in ANALYSIS_ERRORS; others name the
+ * stage the analysis failed in.
+ *
+ * @param {Error} error - Error from analyzeVideo (an ApiError)
+ * @returns {{message: string, actions: Array<string>, code: string|null}} Failure for AnalysisErrorPanel
+ */
+function describeAnalysisFailure(error) {
+  const code = error.code || null;
+  if (ANALYSIS_ERRORS[code]) {
+    return { ...ANALYSIS_ERRORS[code], code };
+  }
+  const stage = ANALYSIS_STAGES.find(item => item.id === error.stage);
+  return {
+    message: stage ? `Analysis failed while ${stage.failure}.` : 'Analysis failed.',
+    actions: error.retryable === false ? ['download', 'contact'] : ['retry', 'download'],
+    code
+  };
+}
 
 /**
  * Main Recorder Component
@@ -30,32 +154,116 @@ import Dashboard from './Dashboard';
  * 
  * @param {Object} props - Component props
  * @param {Function} props.onClose - Callback to return to main app
+ * @param {Object|null} [props.openedJob] - Finished background analysis to show (see AnalysisJobNotifications)
+ * @param {Function} [props.onJobOpened] - Called once openedJob has been handled
  * @returns {JSX.Element} Recorder interface with multiple views
  */
-function Recorder({ onClose }) {
+function Recorder({ onClose, openedJob = null, onJobOpened = () => {} }) {
   // ========== REFS ==========
   const videoRef = useRef(null);           // Video element for preview
+  const reviewMediaRef = useRef(null);     // Video/audio element on the review screen
   const streamRef = useRef(null);          // Media stream reference
   const mediaRecorderRef = useRef(null);   // MediaRecorder instance
   const timerRef = useRef(null);           // Timer for recording duration
+  const countdownTimerRef = useRef(null);  // Timer for the pre-recording countdown
   const chunksRef = useRef([]);            // Video data chunks
   // Eye contact detection refs
-  const modelRef = useRef(null);          // Teachable Machine model instance
+  const modelRef = useRef(null);          // Eye-contact model (worker or main-thread wrapper)
   const eyeContactFramesRef = useRef(0);  // Number of frames with eye contact
   const totalFramesRef = useRef(0);       // Total frames analysed
-  const predictionIntervalRef = useRef(null); // Interval ID for predictions
-
-  // URL path to your Teachable Machine model (placed in public/my_model)
-  const TM_MODEL_URL = 'https://teachablemachine.withgoogle.com/models/9kLQtUrC6/';
+  const eyeContactSamplesRef = useRef([]); // Per-frame results ({ time, probability, eyeContact }) on the recording's timeline
+  const stopEyeContactSamplerRef = useRef(null); // Stops the frame-callback prediction loop
+  const eyeContactAnalysisRef = useRef(null); // AbortController of the running upload/recovered-video analysis
+  const analysisRequestRef = useRef(null);  // AbortController of the running backend analysis
+  const analysisJobRef = useRef(null);      // {jobId, unsubscribe} of the analysis job shown on the loading screen
+  // Body-language refs
+  const poseModelRef = useRef(null);       // PoseNet instance
+  const poseFramesRef = useRef([]);        // Pose features ({ time, visible, ... }) on the recording's timeline
+  const poseIntervalRef = useRef(null);    // Interval ID for pose estimation
+  // Pause/resume segment refs
+  const segmentsRef = useRef([]);          // Completed segments ({ start, end } in seconds)
+  const segmentStartedAtRef = useRef(null); // Wall-clock time the current segment began (null while paused)
+  const recordedSecondsRef = useRef(0);    // Recorded time accumulated before the current segment
+  // Microphone level refs
+  const audioMonitorRef = useRef(null);    // Audio level monitor for the current stream
+  const silenceSinceRef = useRef(null);    // Wall-clock time the input went silent (null while sound is present)
+  const silenceStartSecondsRef = useRef(null); // Recording time the current silence began (null if not recording)
+  const silencesRef = useRef([]);          // Silent periods ({ start, end } in seconds) in the current recording
+  // Presentation mode refs
+  const compositeCanvasRef = useRef(null); // Canvas the slides + webcam inset are drawn into
+  const screenStreamRef = useRef(null);    // Stream from getDisplayMedia
+  const compositorRef = useRef(null);      // Compositor producing the recorded stream
+  const persistQueueRef = useRef(Promise.resolve()); // Serialises IndexedDB writes for the current recording
+  const persistedTakeRef = useRef(null);   // startedAt of the take saved in IndexedDB
 
   // ========== STATE ==========
   const [isRecording, setIsRecording] = useState(false);
+  const [isPaused, setIsPaused] = useState(false);
   const [elapsed, setElapsed] = useState(0);
   const [error, setError] = useState(null);
+  const [analysisFailure, setAnalysisFailure] = useState(null); // Last failed analysis (see describeAnalysisFailure)
   const [isInitializing, setIsInitializing] = useState(true);
   const [recordingBlob, setRecordingBlob] = useState(null);
   const [analysisData, setAnalysisData] = useState(null);
-  const [currentView, setCurrentView] = useState('recorder'); // 'recorder', 'review', 'loading', 'dashboard'
+  const [currentView, setCurrentView] = useState('recorder'); // 'recorder', 'review', 'loading', 'dashboard', 'session'
+  const [segments, setSegments] = useState([]);
+  const [notice, setNotice] = useState(null); // Non-fatal warning (e.g. device disconnected)
+  const [devicePreferences, setDevicePreferences] = useState(loadDevicePreferences);
+  const [availableDevices, setAvailableDevices] = useState({ videoInputs: [], audioInputs: [] });
+  const [mediaRequestId, setMediaRequestId] = useState(0); // Bumped to re-acquire the media stream
+  const [audioLevel, setAudioLevel] = useState(0);
+  const [isInputSilent, setIsInputSilent] = useState(false);
+  const [practiceModeId, setPracticeModeId] = useState(PRACTICE_MODES[0].id);
+  const [autoStop, setAutoStop] = useState(true);
+  const [countdown, setCountdown] = useState(null); // Seconds left before recording starts (null when idle)
+  const [isScriptMode, setIsScriptMode] = useState(false);
+  const [script, setScript] = useState('');
+  // Interview drill state
+  const [isInterviewMode, setIsInterviewMode] = useState(false);
+  const [questionBank, setQuestionBank] = useState(INTERVIEW_QUESTION_BANK);
+  const [interviewCategoryId, setInterviewCategoryId] = useState(INTERVIEW_QUESTION_BANK.categories[0].id);
+  const [interviewQuestionCount, setInterviewQuestionCount] = useState(INTERVIEW_SETTINGS.DEFAULT_QUESTION_COUNT);
+  const [interviewQuestions, setInterviewQuestions] = useState([]);
+  const [interviewAnswers, setInterviewAnswers] = useState([]); // { question, blob, analysisData, error }
+  const [analyzingAnswerIndex, setAnalyzingAnswerIndex] = useState(null);
+  const [selectedAnswerIndex, setSelectedAnswerIndex] = useState(null);
+  const [uploadError, setUploadError] = useState(null);
+  const [isPresentationMode, setIsPresentationMode] = useState(false);
+  const [isScreenShared, setIsScreenShared] = useState(false);
+  const [isAudioOnly, setIsAudioOnly] = useState(false);
+  const [audioAnalyser, setAudioAnalyser] = useState(null); // Drives the audio-only waveform
+  const [unfinishedRecording, setUnfinishedRecording] = useState(null); // Interrupted take found in IndexedDB
+  const [trim, setTrim] = useState({ start: 0, end: null }); // Review in/out points in seconds (end null = end of take)
+  const [eyeContactModelStatus, setEyeContactModelStatus] = useState('idle'); // 'idle', 'loading', 'ready', 'unavailable'
+  const [eyeContactModelError, setEyeContactModelError] = useState(null);
+  const [eyeContactCalibration, setEyeContactCalibration] = useState(() => loadEyeContactCalibration());
+  const [isCalibrating, setIsCalibrating] = useState(false);
+  const [poseModelStatus, setPoseModelStatus] = useState('idle'); // 'idle', 'loading', 'ready', 'unavailable'
+  const [poseModelError, setPoseModelError] = useState(null);
+  const [framingCheck, setFramingCheck] = useState(INITIAL_FRAMING_CHECK); // { status: 'idle'|'running'|'done'|'failed', result, acknowledged }
+  const [eyeContactAnalysis, setEyeContactAnalysis] = useState(null); // Eye contact of a video not captured live: { status: 'pending'|'running'|'failed', progress, error }
+  const [uploadProgress, setUploadProgress] = useState(0); // Fraction of the recording sent to the backend (0-1)
+  const [analysisStage, setAnalysisStage] = useState(ANALYSIS_STAGES[0].id); // Current stage of the backend analysis
+  const [serviceStatus, setServiceStatus] = useState('checking'); // Analysis backend: 'checking', 'online', 'unreachable'
+
+  const currentQuestion = interviewQuestions[interviewAnswers.length];
+  const isLastQuestion = interviewAnswers.length === interviewQuestions.length - 1;
+
+  const practiceMode = PRACTICE_MODES.find(mode => mode.id === practiceModeId) || PRACTICE_MODES[0];
+  const eyeContactThreshold = eyeContactCalibration ? eyeContactCalibration.threshold : EYE_CONTACT_MODEL.DEFAULT_THRESHOLD;
+  // Recording waits for the setup check, unless the user chose to proceed despite its warnings
+  const isBlockedBySetupCheck = !isAudioOnly && (
+    framingCheck.status === 'running' ||
+    (framingCheck.status === 'done' && !framingCheck.result.passed && !framingCheck.acknowledged)
+  );
+
+  // Length of the take under review: recordings know it precisely from their segments,
+  // uploads report it through the media element
+  const reviewSegments = analysisData?.segments;
+  const reviewDuration = reviewSegments?.length > 0 ? reviewSegments[reviewSegments.length - 1].end : elapsed;
+  const trimRange = getTrimRange(trim, reviewDuration);
+  const isAnalysingEyeContact = eyeContactAnalysis?.status === 'pending' || eyeContactAnalysis?.status === 'running';
+  const isServiceUnreachable = serviceStatus === 'unreachable';
 
   // ========== UTILITY FUNCTIONS ==========
 
@@ -70,20 +278,59 @@ function Recorder({ onClose }) {
       streamRef.current = null;
     }
     
-    // Clear recording timer
+    // Clear recording and countdown timers
     if (timerRef.current) {
       clearInterval(timerRef.current);
       timerRef.current = null;
     }
+    if (countdownTimerRef.current) {
+      clearInterval(countdownTimerRef.current);
+      countdownTimerRef.current = null;
+    }
 
     // Stop media recorder if active
     if (mediaRecorderRef.current && mediaRecorderRef.current.state !== 'inactive') {
       mediaRecorderRef.current.stop();
     }
+
+    // Stop audio level monitoring
+    if (audioMonitorRef.current) {
+      audioMonitorRef.current.stop();
+      audioMonitorRef.current = null;
+    }
+
+    // Stop screen sharing
+    if (compositorRef.current) {
+      compositorRef.current.stop();
+      compositorRef.current = null;
+    }
+    if (screenStreamRef.current) {
+      screenStreamRef.current.getTracks().forEach(track => track.stop());
+      screenStreamRef.current = null;
+    }
+  }, []);
+
+  /**
+   * Stops screen sharing and the compositor
+   * The camera stream is left running for the preview and eye-contact detection
+   */
+  const stopScreenShare = useCallback(() => {
+    if (compositorRef.current) {
+      compositorRef.current.stop();
+      compositorRef.current = null;
+    }
+    if (screenStreamRef.current) {
+      screenStreamRef.current.getTracks().forEach(track => track.stop());
+      screenStreamRef.current = null;
+    }
+    setIsScreenShared(false);
   }, []);
 
   /**
    * Load Teachable Machine eye-contact model if not already loaded
+   * The model runs in a Web Worker where supported (main thread otherwise).
+   * Never throws: a missing library or model marks eye contact as unavailable
+   * so recording still works and the result says why there is no score.
    */
   const loadEyeContactModel = useCallback(async () => {
     if (modelRef.current) {
@@ -91,31 +338,88 @@ function Recorder({ onClose }) {
       return;
     }
     
-    if (!window.tmImage) {
-      console.error('Teachable Machine library not loaded - window.tmImage is undefined');
+    setEyeContactModelStatus('loading');
+    setEyeContactModelError(null);
+    try {
+      console.log('Loading eye contact model from:', EYE_CONTACT_MODEL.URL);
+      const model = await createEyeContactModel(EYE_CONTACT_MODEL.URL);
+
+      // Classes are picked by label, so the model must have one named for eye contact
+      if (!hasEyeContactClass(model.getClassLabels())) {
+        console.error('Eye contact model has no matching class:', model.getClassLabels());
+        model.dispose();
+        setEyeContactModelStatus('unavailable');
+        setEyeContactModelError(`The eye-contact model has no "${EYE_CONTACT_MODEL.CLASS_LABEL}" class.`);
+        return;
+      }
+
+      modelRef.current = model;
+      console.log(`Eye contact model loaded successfully (${model.runsInWorker ? 'worker' : 'main thread'})`);
+      setEyeContactModelStatus('ready');
+    } catch (err) {
+      console.error('Failed to load eye contact model:', err);
+      console.error('Model URL attempted:', EYE_CONTACT_MODEL.URL);
+      setEyeContactModelStatus('unavailable');
+      // Without the page's copy of the library the worker's CDN import most likely failed too
+      setEyeContactModelError(window.tmImage
+        ? 'The eye-contact model could not be loaded.'
+        : 'The eye-contact library could not be loaded.');
+    }
+  }, []);
+
+  /**
+   * Load the PoseNet model used for body-language analysis if not already loaded
+   * Like the eye-contact model, failures only mark the analysis as unavailable.
+   */
+  const loadPoseModel = useCallback(async () => {
+    if (poseModelRef.current) return;
+
+    if (!window.posenet) {
+      console.error('PoseNet library not loaded - window.posenet is undefined');
+      setPoseModelStatus('unavailable');
+      setPoseModelError('The pose-detection library could not be loaded.');
       return;
     }
-    
+
+    setPoseModelStatus('loading');
+    setPoseModelError(null);
     try {
-      console.log('Loading eye contact model from:', TM_MODEL_URL);
-      const modelURL = `${TM_MODEL_URL}model.json`;
-      const metadataURL = `${TM_MODEL_URL}metadata.json`;
-      
-      console.log('Model URL:', modelURL);
-      console.log('Metadata URL:', metadataURL);
-      
-      modelRef.current = await window.tmImage.load(modelURL, metadataURL);
-      console.log('Eye contact model loaded successfully:', modelRef.current);
+      poseModelRef.current = await window.posenet.load({
+        architecture: POSE_MODEL.ARCHITECTURE,
+        outputStride: POSE_MODEL.OUTPUT_STRIDE,
+        multiplier: POSE_MODEL.MULTIPLIER,
+        inputResolution: POSE_MODEL.INPUT_RESOLUTION,
+        modelUrl: POSE_MODEL.URL
+      });
+      console.log('Pose model loaded successfully');
+      setPoseModelStatus('ready');
     } catch (err) {
-      console.error('Failed to load eye contact model:', err);
-      console.error('Model URL attempted:', TM_MODEL_URL);
+      console.error('Failed to load pose model:', err);
+      console.error('Model URL attempted:', POSE_MODEL.URL);
+      setPoseModelStatus('unavailable');
+      setPoseModelError('The pose-detection model could not be loaded.');
     }
   }, []);
 
+  /**
+   * Returns the current position on the recording's timeline in seconds
+   * (paused time excluded)
+   */
+  const getRecordedSeconds = useCallback(() => {
+    if (segmentStartedAtRef.current === null) {
+      return recordedSecondsRef.current;
+    }
+    return recordedSecondsRef.current + (Date.now() - segmentStartedAtRef.current) / 1000;
+  }, []);
+
   /**
    * Start prediction loop to evaluate eye contact while recording
+   * Predictions run on video frame callbacks; frames are skipped while one is
+   * in flight and the rate adapts to how long inference takes on this machine.
+   *
+   * @param {boolean} reset - Whether to clear the frame counters (false when resuming)
    */
-  const startEyeContactDetection = useCallback(async () => {
+  const startEyeContactDetection = useCallback((reset = true) => {
     console.log('Starting eye contact detection...');
     
     if (!modelRef.current) {
@@ -128,53 +432,324 @@ function Recorder({ onClose }) {
       return;
     }
 
-    eyeContactFramesRef.current = 0;
-    totalFramesRef.current = 0;
+    if (reset) {
+      eyeContactFramesRef.current = 0;
+      totalFramesRef.current = 0;
+      eyeContactSamplesRef.current = [];
+    }
     console.log('Eye contact detection initialized, starting prediction loop...');
 
-    // Run prediction roughly every 300ms
-    predictionIntervalRef.current = setInterval(async () => {
-      try {
-        const predictions = await modelRef.current.predict(videoRef.current);
-        if (!predictions || predictions.length === 0) {
-          console.warn('No predictions returned from model');
-          return;
-        }
+    const model = modelRef.current;
+    const video = videoRef.current;
+    stopEyeContactSamplerRef.current = startFrameSampler(video, async () => {
+      // Timestamp the frame, not the moment its prediction comes back
+      const time = getRecordedSeconds();
+      const predictions = await model.predict(video);
+      if (!predictions || predictions.length === 0) {
+        console.warn('No predictions returned from model');
+        return;
+      }
 
-        // Log predictions for debugging (only every 10th frame to avoid spam)
-        if (totalFramesRef.current % 10 === 0) {
-          console.log('Predictions:', predictions);
-        }
+      // Log predictions for debugging (only every 10th frame to avoid spam)
+      if (totalFramesRef.current % 10 === 0) {
+        console.log('Predictions:', predictions);
+      }
 
-        // Assume the class "Eye Contact" (index 0) indicates looking at camera
-        const eyeContactProb = predictions[0].probability;
-        totalFramesRef.current += 1;
-        if (eyeContactProb >= 0.5) {
-          eyeContactFramesRef.current += 1;
-        }
-        
-        // Log progress every 10 frames
-        if (totalFramesRef.current % 10 === 0) {
-          console.log(`Eye contact progress: ${eyeContactFramesRef.current}/${totalFramesRef.current} frames`);
-        }
-      } catch (err) {
-        console.error('Eye contact prediction failed:', err);
+      // Compare against the user's calibrated threshold (or the default)
+      const eyeContactProb = getEyeContactProbability(predictions);
+      if (eyeContactProb === null) {
+        console.warn('Eye contact class missing from predictions');
+        return;
       }
-    }, 300);
-  }, []);
+      const eyeContact = eyeContactProb >= eyeContactThreshold;
+      totalFramesRef.current += 1;
+      if (eyeContact) {
+        eyeContactFramesRef.current += 1;
+      }
+      // Timestamped for the look-away timeline and so trimmed-off frames can be excluded
+      eyeContactSamplesRef.current.push({ time, probability: eyeContactProb, eyeContact });
+      
+      // Log progress every 10 frames
+      if (totalFramesRef.current % 10 === 0) {
+        console.log(`Eye contact progress: ${eyeContactFramesRef.current}/${totalFramesRef.current} frames`);
+      }
+    });
+  }, [getRecordedSeconds, eyeContactThreshold]);
 
   /**
    * Stop prediction loop
    */
   const stopEyeContactDetection = useCallback(() => {
-    if (predictionIntervalRef.current) {
-      clearInterval(predictionIntervalRef.current);
-      predictionIntervalRef.current = null;
+    if (stopEyeContactSamplerRef.current) {
+      stopEyeContactSamplerRef.current();
+      stopEyeContactSamplerRef.current = null;
+    }
+  }, []);
+
+  /**
+   * Start pose-estimation loop for body-language analysis while recording
+   * Runs alongside the eye-contact loop; an estimate still in progress skips the next tick.
+   *
+   * @param {boolean} reset - Whether to clear the collected frames (false when resuming)
+   */
+  const startPoseDetection = useCallback((reset = true) => {
+    if (!poseModelRef.current || !videoRef.current) {
+      console.warn('Pose model or video not available, skipping body-language analysis');
+      return;
+    }
+
+    if (reset) {
+      poseFramesRef.current = [];
+    }
+
+    const canvas = document.createElement('canvas');
+    let isEstimating = false;
+    poseIntervalRef.current = setInterval(async () => {
+      if (isEstimating) return;
+      isEstimating = true;
+      try {
+        const time = getRecordedSeconds();
+        const pose = await estimatePose(poseModelRef.current, videoRef.current, canvas);
+        poseFramesRef.current.push(extractPoseFrame(pose, time));
+      } catch (err) {
+        console.error('Pose estimation failed:', err);
+      } finally {
+        isEstimating = false;
+      }
+    }, POSE_MODEL.SAMPLE_INTERVAL_MS);
+  }, [getRecordedSeconds]);
+
+  /**
+   * Stop pose-estimation loop
+   */
+  const stopPoseDetection = useCallback(() => {
+    if (poseIntervalRef.current) {
+      clearInterval(poseIntervalRef.current);
+      poseIntervalRef.current = null;
+    }
+  }, []);
+
+  /**
+   * Ends the silent period in progress, if any
+   * Only silences long enough to trigger the recording alert are reported
+   *
+   * @param {number} end - Recording time at which the silence ended
+   */
+  const closeSilencePeriod = useCallback((end) => {
+    const start = silenceStartSecondsRef.current;
+    if (start !== null && (end - start) * 1000 >= AUDIO_LEVEL.RECORDING_SILENCE_MS) {
+      silencesRef.current.push({ start, end });
+    }
+    silenceStartSecondsRef.current = null;
+  }, []);
+
+  /**
+   * Restarts silence tracking, e.g. when a new segment begins
+   */
+  const resetSilenceTracking = useCallback(() => {
+    silenceSinceRef.current = null;
+    silenceStartSecondsRef.current = null;
+    setIsInputSilent(false);
+  }, []);
+
+  /**
+   * Handles a microphone level sample
+   * Updates the meter and tracks how long the input has been silent
+   *
+   * @param {number} level - RMS input level (0-1)
+   */
+  const handleAudioLevel = useCallback((level) => {
+    setAudioLevel(level);
+
+    const isActivelyRecording = segmentStartedAtRef.current !== null;
+
+    if (level >= AUDIO_LEVEL.SILENCE_THRESHOLD) {
+      if (silenceSinceRef.current !== null) {
+        closeSilencePeriod(getRecordedSeconds());
+        silenceSinceRef.current = null;
+        setIsInputSilent(false);
+      }
+      return;
+    }
+
+    if (silenceSinceRef.current === null) {
+      silenceSinceRef.current = Date.now();
+      silenceStartSecondsRef.current = isActivelyRecording ? getRecordedSeconds() : null;
+    }
+
+    const limit = isActivelyRecording ? AUDIO_LEVEL.RECORDING_SILENCE_MS : AUDIO_LEVEL.PREFLIGHT_SILENCE_MS;
+    setIsInputSilent(Date.now() - silenceSinceRef.current >= limit);
+  }, [closeSilencePeriod, getRecordedSeconds]);
+
+  /**
+   * Closes the segment currently being recorded, if any
+   * Adds its duration to the recorded total so the next segment starts where it ended
+   */
+  const closeCurrentSegment = useCallback(() => {
+    if (segmentStartedAtRef.current === null) return;
+
+    const start = recordedSecondsRef.current;
+    const end = start + (Date.now() - segmentStartedAtRef.current) / 1000;
+    segmentsRef.current.push({ start, end });
+    recordedSecondsRef.current = end;
+    segmentStartedAtRef.current = null;
+
+    // A silence cannot span a pause, so end it with the segment
+    closeSilencePeriod(end);
+    resetSilenceTracking();
+  }, [closeSilencePeriod, resetSilenceTracking]);
+
+  /**
+   * Queues a write to the recording store
+   * Writes run one after another so chunks land in order; failures are logged
+   * and never interrupt the recording itself.
+   *
+   * @param {Function} task - Returns a promise performing the write
+   */
+  const queuePersistence = useCallback((task) => {
+    persistQueueRef.current = persistQueueRef.current
+      .then(task)
+      .catch(err => console.warn('Could not persist recording:', err));
+  }, []);
+
+  /**
+   * Deletes the saved copy of the recording once it has been analysed or discarded
+   *
+   * @param {number|null} [take] - startedAt of the take to delete; by default whichever is saved
+   */
+  const discardPersistedRecording = useCallback((take = null) => {
+    queuePersistence(() => clearPersistedRecording(take));
+  }, [queuePersistence]);
+
+  /**
+   * Stops the eye-contact analysis of an uploaded or recovered video, if running
+   */
+  const cancelEyeContactAnalysis = useCallback(() => {
+    if (eyeContactAnalysisRef.current) {
+      eyeContactAnalysisRef.current.abort();
+      eyeContactAnalysisRef.current = null;
+    }
+  }, []);
+
+  /**
+   * Probes the analysis backend and records whether it is reachable
+   */
+  const checkService = useCallback(async () => {
+    const isHealthy = await checkServiceHealth();
+    setServiceStatus(isHealthy ? 'online' : 'unreachable');
+  }, []);
+
+  /**
+   * Shows a finished analysis job: its report, or the recording it failed
+   * for with the reason. Jobs started before a reload have no recording.
+   */
+  const showAnalysisJob = useCallback((job) => {
+    dismissAnalysisJob(job.jobId);
+    const context = job.context;
+
+    if (job.status === 'succeeded') {
+      // The recording no longer needs to be recoverable (uploads were never saved),
+      // unless another take has replaced it in the meantime
+      if (context && context.analysisData?.source !== 'upload') {
+        discardPersistedRecording(context.persistedTake);
+      }
+      setRecordingBlob(context?.blob || null);
+      setAnalysisData(mergeAnalysisResult(
+        applyTrimToAnalysis(context?.analysisData || null, context?.trimRange || null),
+        job.result
+      ));
+      setSelectedAnswerIndex(null);
+      setCurrentView('dashboard');
+      return;
+    }
+
+    if (context) {
+      setRecordingBlob(context.blob);
+      setAnalysisData(context.analysisData);
+      setSegments(context.segments);
+      setTrim(context.trim);
+      setElapsed(context.elapsed);
     }
+    setAnalysisFailure(describeAnalysisFailure(job.error || {}));
+    setCurrentView('review');
+  }, [discardPersistedRecording]);
+
+  /**
+   * Stops following the analysis job shown on the loading screen
+   *
+   * @returns {string|null} Id of the job that was followed
+   */
+  const stopWatchingAnalysisJob = useCallback(() => {
+    const watched = analysisJobRef.current;
+    if (!watched) return null;
+    analysisJobRef.current = null;
+    watched.unsubscribe();
+    return watched.jobId;
   }, []);
 
+  /**
+   * Follows an analysis job on the loading screen until it finishes
+   */
+  const watchAnalysisJob = useCallback((jobId) => {
+    const unsubscribe = subscribeToAnalysisJobs(jobs => {
+      const job = jobs.find(item => item.jobId === jobId);
+      if (!job || analysisJobRef.current?.jobId !== jobId) return;
+
+      if (job.status === 'succeeded' || job.status === 'failed') {
+        stopWatchingAnalysisJob();
+        showAnalysisJob(job);
+      } else {
+        setAnalysisStage(job.stage);
+      }
+    });
+    analysisJobRef.current = { jobId, unsubscribe };
+  }, [stopWatchingAnalysisJob, showAnalysisJob]);
+
   // ========== EFFECTS ==========
 
+  /**
+   * Checks the analysis backend when the Recorder opens, then keeps checking
+   * while it is unreachable so "Analyze Speech" comes back on its own
+   */
+  useEffect(() => {
+    checkService();
+  }, [checkService]);
+
+  useEffect(() => {
+    if (serviceStatus !== 'unreachable') return;
+    const timer = setInterval(checkService, API_CONFIG.HEALTH_RETRY_MS);
+    return () => clearInterval(timer);
+  }, [serviceStatus, checkService]);
+
+  /**
+   * Shows a background analysis opened from its notification
+   * A take in progress is not interrupted; the notification stays so it can be opened later.
+   */
+  useEffect(() => {
+    if (!openedJob) return;
+    if (isRecording || countdown !== null || currentView === 'loading') {
+      setNotice('Finish the current take before opening another analysis.');
+    } else {
+      showAnalysisJob(openedJob);
+    }
+    onJobOpened();
+  }, [openedJob, onJobOpened, isRecording, countdown, currentView, showAnalysisJob]);
+
+  /**
+   * Looks for a recording interrupted by a crash, refresh or navigation
+   */
+  useEffect(() => {
+    let cancelled = false;
+    loadUnfinishedRecording()
+      .then(recording => {
+        if (!cancelled) {
+          setUnfinishedRecording(recording);
+        }
+      })
+      .catch(err => console.warn('Could not check for an unfinished recording:', err));
+    return () => { cancelled = true; };
+  }, []);
+
   /**
    * Initialize media stream on component mount and when returning to recorder view
    * Requests camera and microphone permissions and sets up video preview
@@ -185,10 +760,38 @@ function Recorder({ onClose }) {
 
     let isMounted = true;
 
+    /**
+     * Requests the selected devices, falling back to the defaults
+     * if a saved camera or microphone is no longer connected
+     */
+    async function requestMediaStream() {
+      try {
+        return await navigator.mediaDevices.getUserMedia(buildMediaConstraints(devicePreferences, isAudioOnly));
+      } catch (err) {
+        if (!isMissingDeviceError(err) || (!devicePreferences.videoDeviceId && !devicePreferences.audioDeviceId)) {
+          // A missing default camera is recoverable by switching to audio-only mode
+          if (err.name === 'NotFoundError' && !isAudioOnly) {
+            throw new Error('No camera was found. Turn on audio-only mode to practice with your voice only.');
+          }
+          throw err;
+        }
+        console.warn('Selected device unavailable, falling back to defaults:', err);
+        if (isMounted) {
+          setNotice('The selected camera or microphone is not available. Using the default device instead.');
+        }
+        return navigator.mediaDevices.getUserMedia(buildMediaConstraints({
+          ...DEFAULT_DEVICE_PREFERENCES,
+          resolution: devicePreferences.resolution
+        }, isAudioOnly));
+      }
+    }
+
     async function initializeMedia() {
       try {
         setError(null);
+        setAnalysisFailure(null);
         setIsInitializing(true);
+        setFramingCheck(INITIAL_FRAMING_CHECK);
 
         // Check browser compatibility
         if (!isGetUserMediaSupported()) {
@@ -196,9 +799,10 @@ function Recorder({ onClose }) {
         }
 
         // Request media access and load eye contact model in parallel
+        // (audio-only mode has no video to run the model on)
         const [mediaStream] = await Promise.all([
-          navigator.mediaDevices.getUserMedia(MEDIA_CONSTRAINTS),
-          loadEyeContactModel()
+          requestMediaStream(),
+          isAudioOnly ? Promise.resolve() : Promise.all([loadEyeContactModel(), loadPoseModel()])
         ]);
         
         // Check if component is still mounted
@@ -207,12 +811,41 @@ function Recorder({ onClose }) {
           return;
         }
 
+        // Release the previous stream when switching devices
+        if (streamRef.current) {
+          streamRef.current.getTracks().forEach(track => track.stop());
+        }
+
         // Set up media stream
         streamRef.current = mediaStream;
         
         if (videoRef.current) {
           videoRef.current.srcObject = mediaStream;
         }
+
+        // Re-composite an active screen share with the new camera stream
+        if (compositorRef.current && screenStreamRef.current && compositeCanvasRef.current) {
+          compositorRef.current.stop();
+          compositorRef.current = createPresentationCompositor({
+            canvas: compositeCanvasRef.current,
+            screenStream: screenStreamRef.current,
+            cameraStream: mediaStream
+          });
+        }
+
+        // Meter the new stream's microphone
+        if (audioMonitorRef.current) {
+          audioMonitorRef.current.stop();
+        }
+        resetSilenceTracking();
+        audioMonitorRef.current = createAudioLevelMonitor(mediaStream, handleAudioLevel);
+        setAudioAnalyser(audioMonitorRef.current ? audioMonitorRef.current.analyser : null);
+
+        // Device labels are only available once permission has been granted
+        const devices = await listMediaDevices();
+        if (isMounted) {
+          setAvailableDevices(devices);
+        }
       } catch (err) {
         if (isMounted) {
           console.error('Error accessing media devices:', err);
@@ -234,7 +867,126 @@ function Recorder({ onClose }) {
         cleanup();
       }
     };
-  }, [cleanup, currentView, loadEyeContactModel]);
+  }, [cleanup, currentView, loadEyeContactModel, loadPoseModel, devicePreferences, isAudioOnly, mediaRequestId, handleAudioLevel, resetSilenceTracking]);
+
+  /**
+   * Stop the countdown, audio level monitoring, screen sharing, the eye-contact worker and pending analysis on unmount
+   */
+  useEffect(() => {
+    return () => {
+      // Leaving mid-countdown must not start a recording
+      if (countdownTimerRef.current) {
+        clearInterval(countdownTimerRef.current);
+        countdownTimerRef.current = null;
+      }
+      if (audioMonitorRef.current) {
+        audioMonitorRef.current.stop();
+        audioMonitorRef.current = null;
+      }
+      stopScreenShare();
+      stopEyeContactDetection();
+      cancelEyeContactAnalysis();
+      if (analysisRequestRef.current) {
+        analysisRequestRef.current.abort();
+      }
+      // A job still shown on the loading screen finishes in the background
+      const jobId = stopWatchingAnalysisJob();
+      if (jobId) {
+        moveAnalysisJobToBackground(jobId);
+      }
+      if (modelRef.current) {
+        modelRef.current.dispose();
+        modelRef.current = null;
+      }
+    };
+  }, [stopScreenShare, stopEyeContactDetection, cancelEyeContactAnalysis, stopWatchingAnalysisJob]);
+
+  /**
+   * Measures eye contact for uploaded and recovered videos that have no live data
+   * Waits for the model (loading it if audio-only mode skipped it), then plays
+   * the video through it; the result replaces the placeholder in analysisData.
+   */
+  useEffect(() => {
+    if (currentView !== 'review' || eyeContactAnalysis?.status !== 'pending') return;
+
+    if (eyeContactModelStatus === 'idle') {
+      loadEyeContactModel();
+      return;
+    }
+    if (eyeContactModelStatus === 'loading') return;
+    if (eyeContactModelStatus === 'unavailable' || !modelRef.current) {
+      setEyeContactAnalysis(null);
+      setAnalysisData(prev => ({ ...prev, eyeContactUnavailable: eyeContactModelError || 'The eye-contact model could not be loaded.' }));
+      return;
+    }
+
+    const controller = new AbortController();
+    eyeContactAnalysisRef.current = controller;
+    setEyeContactAnalysis({ status: 'running', progress: null, error: null });
+    analyzeVideoEyeContact(modelRef.current, recordingBlob, {
+      threshold: eyeContactThreshold,
+      durationHint: reviewDuration || null,
+      signal: controller.signal,
+      onProgress: progress => setEyeContactAnalysis({ status: 'running', progress, error: null })
+    })
+      .then(result => {
+        eyeContactAnalysisRef.current = null;
+        setEyeContactAnalysis(null);
+        setAnalysisData(prev => ({
+          ...prev,
+          ...result,
+          eyeContactUnavailable: result.eyeContactScore === null ? 'No frames of the video could be analysed.' : null
+        }));
+      })
+      .catch(err => {
+        if (err.name === 'AbortError') return;
+        console.error('Eye-contact analysis of the video failed:', err);
+        eyeContactAnalysisRef.current = null;
+        setEyeContactAnalysis({ status: 'failed', progress: null, error: err.message });
+      });
+  }, [currentView, eyeContactAnalysis, eyeContactModelStatus, eyeContactModelError, loadEyeContactModel, recordingBlob, eyeContactThreshold, reviewDuration]);
+
+  /**
+   * Abandons the video eye-contact analysis when leaving the review screen
+   */
+  useEffect(() => {
+    if (currentView !== 'review') {
+      cancelEyeContactAnalysis();
+      setEyeContactAnalysis(null);
+    }
+  }, [currentView, cancelEyeContactAnalysis]);
+
+  /**
+   * Load the interview question bank (built-in or configured URL)
+   */
+  useEffect(() => {
+    let isMounted = true;
+    loadQuestionBank().then(bank => {
+      if (isMounted) {
+        setQuestionBank(bank);
+        setInterviewCategoryId(bank.categories[0].id);
+      }
+    });
+    return () => {
+      isMounted = false;
+    };
+  }, []);
+
+  /**
+   * Draws a new set of interview questions for the selected category and count
+   */
+  const drawInterviewQuestions = useCallback(() => {
+    setInterviewQuestions(drawQuestions(questionBank, interviewCategoryId, interviewQuestionCount));
+  }, [questionBank, interviewCategoryId, interviewQuestionCount]);
+
+  /**
+   * Redraw questions when interview settings change
+   */
+  useEffect(() => {
+    if (isInterviewMode) {
+      drawInterviewQuestions();
+    }
+  }, [isInterviewMode, drawInterviewQuestions]);
 
   // ========== EVENT HANDLERS ==========
 
@@ -245,21 +997,63 @@ function Recorder({ onClose }) {
   const handleRecordingComplete = useCallback(() => {
     if (chunksRef.current.length === 0) return;
 
-    const blob = new Blob(chunksRef.current, { type: 'video/webm' });
+    const blob = new Blob(chunksRef.current, { type: isAudioOnly ? 'audio/webm' : 'video/webm' });
     setRecordingBlob(blob);
+    setSegments(segmentsRef.current);
+    setTrim({ start: 0, end: null });
+
+    // Release the screen share; re-recording asks for it again
+    stopScreenShare();
+
+    // Compute eye contact score percentage; null (with a reason) when it could not be measured
+    const eyeContactScore = !isAudioOnly && totalFramesRef.current > 0 ?
+      Math.round((eyeContactFramesRef.current / totalFramesRef.current) * 100) : null;
+    const eyeContactUnavailable = isAudioOnly
+      ? 'Not measured in audio-only mode.'
+      : eyeContactScore === null
+        ? (eyeContactModelError || 'No video frames could be analysed.')
+        : null;
+
+    // Tell the user why there is no eye-contact score, unless a device notice is already shown
+    if (eyeContactScore === null && !isAudioOnly) {
+      setNotice(prev => prev || `Eye contact was not measured. ${eyeContactUnavailable}`);
+    }
+
+    // Summarise posture, gestures and fidgeting (not applicable in audio-only mode)
+    const bodyLanguage = isAudioOnly ? null : summarizeBodyLanguage(poseFramesRef.current);
+    const bodyLanguageUnavailable = isAudioOnly || bodyLanguage
+      ? null
+      : poseModelError || 'You were not visible enough for body-language analysis.';
 
-    // Compute eye contact score percentage
-    const eyeContactScore = totalFramesRef.current > 0 ?
-      Math.round((eyeContactFramesRef.current / totalFramesRef.current) * 100) : 0;
+    // Setup problems the user chose to record with
+    const setupWarnings = !isAudioOnly && framingCheck.acknowledged && framingCheck.result
+      ? framingCheck.result.items.filter(item => !item.passed).map(item => ({ label: item.label, fix: item.fix }))
+      : null;
 
-    // Log eye contact score to console
-    console.log(`Eye Contact Score: ${eyeContactScore}% (${eyeContactFramesRef.current}/${totalFramesRef.current} frames)`);
+    // Rate the recording against the practice mode's target length
+    const timeDiscipline = practiceMode.targetSeconds
+      ? { mode: practiceMode.label, ...getTimeDiscipline(recordedSecondsRef.current, practiceMode.targetSeconds, PRACTICE_TIMING.TOLERANCE) }
+      : null;
 
-    // Store preliminary analysis data with eyeContactScore; will merge later
-    setAnalysisData(prev => ({ ...(prev || {}), eyeContactScore }));
+    // Store preliminary analysis data with locally computed metrics; will merge later.
+    // A new object, so nothing from a previous upload (such as its source) carries over
+    setAnalysisData({
+      eyeContactScore,
+      eyeContactUnavailable,
+      eyeContactSamples: isAudioOnly ? null : eyeContactSamplesRef.current,
+      lookAways: isAudioOnly ? null : computeLookAwayIntervals(eyeContactSamplesRef.current),
+      poseFrames: isAudioOnly ? null : poseFramesRef.current,
+      bodyLanguage,
+      bodyLanguageUnavailable,
+      setupWarnings,
+      segments: segmentsRef.current,
+      silences: silencesRef.current,
+      timeDiscipline,
+      script: isScriptMode && script.trim() ? script : null
+    });
 
     setCurrentView('review');
-  }, []);
+  }, [practiceMode, isScriptMode, script, isAudioOnly, eyeContactModelError, poseModelError, framingCheck, stopScreenShare]);
 
   /**
    * Starts video recording
@@ -272,24 +1066,58 @@ function Recorder({ onClose }) {
     }
 
     try {
-      // Get best supported video format
-      const mimeType = getBestMimeType([MIME_TYPES.preferred, MIME_TYPES.fallback]);
+      // Get best supported recording format
+      const mimeType = isAudioOnly
+        ? getBestMimeType([MIME_TYPES.audioPreferred, MIME_TYPES.audioFallback])
+        : getBestMimeType([MIME_TYPES.preferred, MIME_TYPES.fallback]);
+
+      // Presentation mode records the composited slides + webcam stream;
+      // eye-contact detection keeps using the raw webcam preview
+      const recordingStream = compositorRef.current ? compositorRef.current.stream : streamRef.current;
 
       // Create MediaRecorder instance
-      const recorder = new MediaRecorder(streamRef.current, { 
+      const recorder = new MediaRecorder(recordingStream, { 
         mimeType: mimeType || undefined 
       });
       
       mediaRecorderRef.current = recorder;
       chunksRef.current = [];
+      segmentsRef.current = [];
+      silencesRef.current = [];
+      recordedSecondsRef.current = 0;
 
-      // Begin eye-contact detection
-      startEyeContactDetection();
+      // Save chunks as they arrive so the take survives a crash or refresh
+      setUnfinishedRecording(null);
+      const startedAt = Date.now();
+      persistedTakeRef.current = startedAt;
+      queuePersistence(() => beginPersistedRecording({ blobType: isAudioOnly ? 'audio/webm' : 'video/webm', startedAt }));
+
+      // Begin eye-contact and body-language detection
+      if (!isAudioOnly) {
+        startEyeContactDetection();
+        startPoseDetection();
+      }
 
       // Set up event handlers
+      // Samples already saved with earlier chunks; each chunk only saves the new ones
+      let savedSamples = { eyeContact: 0, pose: 0 };
       recorder.ondataavailable = (event) => {
         if (event.data.size > 0) {
           chunksRef.current.push(event.data);
+          const index = chunksRef.current.length - 1;
+          const progress = {
+            recordedSeconds: getRecordedSeconds(),
+            segments: [...segmentsRef.current],
+            silences: [...silencesRef.current],
+            eyeContactFrames: eyeContactFramesRef.current,
+            totalFrames: totalFramesRef.current
+          };
+          const newSamples = {
+            eyeContactSamples: eyeContactSamplesRef.current.slice(savedSamples.eyeContact),
+            poseFrames: poseFramesRef.current.slice(savedSamples.pose)
+          };
+          savedSamples = { eyeContact: eyeContactSamplesRef.current.length, pose: poseFramesRef.current.length };
+          queuePersistence(() => persistChunk(index, event.data, progress, newSamples));
         }
       };
 
@@ -299,14 +1127,18 @@ function Recorder({ onClose }) {
         console.error('MediaRecorder error:', event.error);
         setError('Recording failed');
         setIsRecording(false);
+        setIsPaused(false);
         if (timerRef.current) {
           clearInterval(timerRef.current);
         }
       };
 
-      // Start recording
-      recorder.start();
+      // Start recording, handing over a chunk every timeslice for persistence
+      recorder.start(RECORDING_PERSISTENCE.TIMESLICE_MS);
+      segmentStartedAtRef.current = Date.now();
+      resetSilenceTracking();
       setIsRecording(true);
+      setIsPaused(false);
       setElapsed(0);
       
       // Start duration timer
@@ -318,79 +1150,386 @@ function Recorder({ onClose }) {
       console.error('Failed to start recording:', err);
       setError('Failed to start recording');
     }
-  }, [handleRecordingComplete, startEyeContactDetection]);
+  }, [handleRecordingComplete, isAudioOnly, getRecordedSeconds, queuePersistence, resetSilenceTracking, startEyeContactDetection, startPoseDetection]);
 
   /**
    * Stops video recording
    * Stops MediaRecorder and timer, triggers completion handler
    */
   const stopRecording = useCallback(() => {
+    // Close the open segment before onstop builds the recording
+    closeCurrentSegment();
+
     if (mediaRecorderRef.current && mediaRecorderRef.current.state !== 'inactive') {
       mediaRecorderRef.current.stop();
     }
     
     setIsRecording(false);
-    // Stop eye-contact detection loop
+    setIsPaused(false);
+    // Stop eye-contact and body-language detection loops
     stopEyeContactDetection();
+    stopPoseDetection();
     
     if (timerRef.current) {
       clearInterval(timerRef.current);
       timerRef.current = null;
     }
-  }, [stopEyeContactDetection]);
+  }, [closeCurrentSegment, stopEyeContactDetection, stopPoseDetection]);
 
   /**
-   * Handles back button navigation
-   * Stops recording if active and returns to main app
+   * Pauses video recording
+   * Pauses MediaRecorder, timer and eye-contact detection and closes the current segment
    */
-  const handleBack = useCallback(() => {
-    if (isRecording) {
-      stopRecording();
+  const pauseRecording = useCallback(() => {
+    const recorder = mediaRecorderRef.current;
+    if (!recorder || recorder.state !== 'recording') return;
+
+    // Flush buffered data so chunks line up with the segment boundary
+    recorder.requestData();
+    recorder.pause();
+    closeCurrentSegment();
+    stopEyeContactDetection();
+    stopPoseDetection();
+
+    if (timerRef.current) {
+      clearInterval(timerRef.current);
+      timerRef.current = null;
     }
-    onClose();
-  }, [isRecording, stopRecording, onClose]);
+
+    setIsPaused(true);
+  }, [closeCurrentSegment, stopEyeContactDetection, stopPoseDetection]);
 
   /**
-   * Handles completion of loading/analysis screen
-   * Transitions to dashboard with results
+   * Resumes a paused recording
+   * Starts a new segment and restarts the timer and eye-contact detection
    */
-  const handleLoadingComplete = useCallback(() => {
-    setCurrentView('dashboard');
-  }, []);
+  const resumeRecording = useCallback(() => {
+    const recorder = mediaRecorderRef.current;
+    if (!recorder || recorder.state !== 'paused') return;
 
-  /**
-   * Handles back navigation from dashboard
+    recorder.resume();
+    segmentStartedAtRef.current = Date.now();
+    resetSilenceTracking();
+    // Keep frame counts from earlier segments
+    if (!isAudioOnly) {
+      startEyeContactDetection(false);
+      startPoseDetection(false);
+    }
+
+    timerRef.current = setInterval(() => {
+      setElapsed(prev => prev + 1);
+    }, 1000);
+
+    setIsPaused(false);
+  }, [isAudioOnly, resetSilenceTracking, startEyeContactDetection, startPoseDetection]);
+
+  /**
+   * Asks the user to pick a screen/window to share and starts compositing it
+   * with the webcam for presentation mode
+   */
+  const startScreenShare = useCallback(async () => {
+    if (!isDisplayMediaSupported()) {
+      setNotice('Screen sharing is not supported in this browser.');
+      return;
+    }
+    if (!streamRef.current || !compositeCanvasRef.current) return;
+
+    try {
+      const screenStream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: false });
+      screenStreamRef.current = screenStream;
+      compositorRef.current = createPresentationCompositor({
+        canvas: compositeCanvasRef.current,
+        screenStream,
+        cameraStream: streamRef.current
+      });
+      setNotice(null);
+      setIsScreenShared(true);
+
+      // The browser's "Stop sharing" button ends the screen track
+      screenStream.getVideoTracks()[0].addEventListener('ended', () => {
+        if (mediaRecorderRef.current && mediaRecorderRef.current.state !== 'inactive') {
+          setNotice('Screen sharing ended, so the recording was stopped and saved up to that point.');
+          stopRecording();
+        } else {
+          stopScreenShare();
+        }
+      });
+    } catch (err) {
+      // NotAllowedError means the user dismissed the picker
+      if (err.name !== 'NotAllowedError') {
+        console.error('Failed to start screen sharing:', err);
+        setNotice('Could not start screen sharing. Please try again.');
+      }
+    }
+  }, [stopRecording, stopScreenShare]);
+
+  /**
+   * Toggles presentation mode, releasing any screen share when turned off
+   */
+  const handlePresentationModeChange = useCallback((enabled) => {
+    setIsPresentationMode(enabled);
+    if (!enabled) {
+      stopScreenShare();
+    }
+  }, [stopScreenShare]);
+
+  /**
+   * Handles the start button
+   * Timed practice modes count down 3-2-1 before recording starts
+   */
+  const handleStartClick = useCallback(() => {
+    if (!practiceMode.targetSeconds) {
+      startRecording();
+      return;
+    }
+
+    setCountdown(PRACTICE_TIMING.COUNTDOWN_SECONDS);
+    countdownTimerRef.current = setInterval(() => {
+      setCountdown(prev => {
+        if (prev > 1) return prev - 1;
+        clearInterval(countdownTimerRef.current);
+        countdownTimerRef.current = null;
+        return 0;
+      });
+    }, 1000);
+  }, [practiceMode, startRecording]);
+
+  /**
+   * Cancels a running countdown before recording starts
+   */
+  const cancelCountdown = useCallback(() => {
+    if (countdownTimerRef.current) {
+      clearInterval(countdownTimerRef.current);
+      countdownTimerRef.current = null;
+    }
+    setCountdown(null);
+  }, []);
+
+  /**
+   * Samples the webcam preview and checks lighting and framing
+   */
+  const runSetupCheck = useCallback(async () => {
+    setFramingCheck({ status: 'running', result: null, acknowledged: false });
+    try {
+      const result = await runFramingCheck({ video: videoRef.current, poseModel: poseModelRef.current });
+      setFramingCheck({ status: 'done', result, acknowledged: false });
+    } catch (err) {
+      console.error('Framing check failed:', err);
+      setFramingCheck({ status: 'failed', result: null, acknowledged: false });
+    }
+  }, []);
+
+  /**
+   * Runs the setup check once the camera stream is ready
+   */
+  useEffect(() => {
+    if (currentView === 'recorder' && !isInitializing && !error && !isAudioOnly && framingCheck.status === 'idle') {
+      runSetupCheck();
+    }
+  }, [currentView, isInitializing, error, isAudioOnly, framingCheck.status, runSetupCheck]);
+
+  /**
+   * Starts recording once the countdown reaches zero
+   */
+  useEffect(() => {
+    if (countdown !== 0) return;
+    setCountdown(null);
+    startRecording();
+  }, [countdown, startRecording]);
+
+  /**
+   * Stops recording automatically at the practice mode's target length
+   */
+  useEffect(() => {
+    if (isRecording && autoStop && practiceMode.targetSeconds && elapsed >= practiceMode.targetSeconds) {
+      stopRecording();
+    }
+  }, [isRecording, autoStop, practiceMode, elapsed, stopRecording]);
+
+  /**
+   * Reacts to cameras/microphones being plugged in or removed
+   * Refreshes the device list, and if a device in use disappears either stops
+   * the recording (keeping what was captured) or re-acquires the stream
+   */
+  useEffect(() => {
+    if (currentView !== 'recorder' || !navigator.mediaDevices || !navigator.mediaDevices.addEventListener) return;
+
+    const handleDeviceChange = async () => {
+      let devices;
+      try {
+        devices = await listMediaDevices();
+      } catch (err) {
+        console.error('Failed to list media devices:', err);
+        return;
+      }
+      setAvailableDevices(devices);
+
+      if (!streamRef.current) return;
+      const lostDevice = streamRef.current.getTracks().some(track => !isTrackDeviceAvailable(track, devices));
+      if (!lostDevice) return;
+
+      if (isRecording) {
+        console.warn('Recording device disconnected, stopping recording');
+        setNotice('A camera or microphone was disconnected. Your recording was stopped and saved up to that point.');
+        stopRecording();
+      } else {
+        setNotice('A camera or microphone was disconnected. Switched to the available device.');
+        setMediaRequestId(prev => prev + 1);
+      }
+    };
+
+    navigator.mediaDevices.addEventListener('devicechange', handleDeviceChange);
+    return () => {
+      navigator.mediaDevices.removeEventListener('devicechange', handleDeviceChange);
+    };
+  }, [currentView, isRecording, stopRecording]);
+
+  /**
+   * Handles a device selection change from the picker
+   * Persists the choice so it is reused in later sessions
+   */
+  const handleDevicePreferencesChange = useCallback((preferences) => {
+    setNotice(null);
+    setDevicePreferences(preferences);
+    saveDevicePreferences(preferences);
+  }, []);
+
+  /**
+   * Samples eye-contact probabilities from the live preview for calibration
+   *
+   * @param {number} durationMs - How long to sample for
+   * @returns {Promise<number[]>} Probabilities collected
+   */
+  const handleCalibrationCollect = useCallback((durationMs) => {
+    if (!modelRef.current || !videoRef.current) {
+      return Promise.reject(new Error('Eye contact model or webcam not ready'));
+    }
+    return sampleEyeContactProbabilities(modelRef.current, videoRef.current, durationMs);
+  }, []);
+
+  /**
+   * Stores a fitted calibration for this model and reuses it in later sessions
+   *
+   * @param {{threshold: number, accuracy: number}} result - Fitted threshold
+   */
+  const handleCalibrationSave = useCallback((result) => {
+    const calibration = { ...result, calibratedAt: Date.now(), modelUrl: EYE_CONTACT_MODEL.URL };
+    saveEyeContactCalibration(calibration);
+    setEyeContactCalibration(calibration);
+    setIsCalibrating(false);
+  }, []);
+
+  /**
+   * Discards the saved calibration and goes back to the default threshold
+   */
+  const handleCalibrationReset = useCallback(() => {
+    saveEyeContactCalibration(null);
+    setEyeContactCalibration(null);
+  }, []);
+
+  /**
+   * Handles back button navigation
+   * Stops recording if active and returns to main app
+   */
+  const handleBack = useCallback(() => {
+    if (isRecording) {
+      stopRecording();
+    }
+    onClose();
+  }, [isRecording, stopRecording, onClose]);
+
+  /**
+   * Handles completion of loading/analysis screen
+   * Transitions to dashboard with results
+   */
+  const handleLoadingComplete = useCallback(() => {
+    setCurrentView('dashboard');
+  }, []);
+
+  /**
+   * Handles back navigation from dashboard
    * Returns to recorder for new recording
    */
   const handleDashboardBack = useCallback(() => {
+    // Answers from an interview session return to the session summary
+    if (selectedAnswerIndex !== null) {
+      setSelectedAnswerIndex(null);
+      setCurrentView('session');
+      return;
+    }
+
     setCurrentView('recorder');
     setRecordingBlob(null);
     setAnalysisData(null);
-  }, []);
+    setSegments([]);
+    setNotice(null);
+  }, [selectedAnswerIndex]);
 
   /**
    * Handles analyze speech button click
-   * Makes API call to backend and transitions to loading/analysis
+   * Uploads the recording and starts a background analysis job, followed on
+   * the loading screen until it finishes or the user moves it to the background
    */
   const handleAnalyzeSpeech = useCallback(async () => {
+    const controller = new AbortController();
+    analysisRequestRef.current = controller;
+    setAnalysisFailure(null);
+    setUploadProgress(0);
+    setAnalysisStage(ANALYSIS_STAGES[0].id);
     setCurrentView('loading');
 
     try {
       console.log('Starting speech analysis');
-      const result = await analyzeVideo(recordingBlob);
-      console.log('Integration ready! Backend returned:', result);
-
-      // Merge backend result with locally computed eye contact score (override if backend provides)
-      setAnalysisData(prev => ({ ...result, eyeContactScore: prev?.eyeContactScore }));
-
-      // Switch to dashboard now that analysis is complete
-      setCurrentView('dashboard');
+      const jobId = await startAnalysisJob(recordingBlob, {
+        trim: trimRange,
+        onUploadProgress: setUploadProgress,
+        signal: controller.signal,
+        // Recorded takes are saved, so their upload can resume after a reload too
+        resumeKey: analysisData?.source !== 'upload' && persistedTakeRef.current ? `take-${persistedTakeRef.current}` : null
+      });
+      const length = Math.round(trimRange ? trimRange.end - trimRange.start : reviewDuration);
+      trackAnalysisJob({
+        jobId,
+        label: recordingBlob.name || `${formatTime(length)} recording`,
+        // Locally computed metrics (eye contact, segments, ...) are merged with the result when it arrives
+        context: { blob: recordingBlob, analysisData, segments, trim, trimRange, elapsed, persistedTake: persistedTakeRef.current }
+      });
+      setAnalysisStage('received');
+      watchAnalysisJob(jobId);
     } catch (error) {
-      console.error('API call failed:', error);
-      setError('Analysis failed. Please try again.');
+      // Cancelled by the user: back to the review screen without an error
+      if (error.name !== 'AbortError') {
+        console.error('API call failed:', error);
+        setAnalysisFailure(describeAnalysisFailure(error));
+        // The service may have gone away; the banner shows if so
+        checkService();
+      }
       // Return to review screen so user can retry or re-record
       setCurrentView('review');
+    } finally {
+      analysisRequestRef.current = null;
+    }
+  }, [recordingBlob, trimRange, reviewDuration, analysisData, segments, trim, elapsed, watchAnalysisJob, checkService]);
+
+  /**
+   * Cancels the upload or analysis job shown on the loading screen
+   */
+  const handleCancelAnalysis = useCallback(() => {
+    const jobId = stopWatchingAnalysisJob();
+    if (jobId) {
+      dismissAnalysisJob(jobId);
+      setCurrentView('review');
+    } else if (analysisRequestRef.current) {
+      analysisRequestRef.current.abort();
     }
+  }, [stopWatchingAnalysisJob]);
+
+  /**
+   * Saves the recording under review, so it is not lost if analysis keeps failing
+   */
+  const handleDownloadRecording = useCallback(() => {
+    const extension = (recordingBlob.type.split('/')[1] || 'webm').split(';')[0];
+    downloadBlob(recordingBlob, recordingBlob.name || `recording.${extension}`);
   }, [recordingBlob]);
 
   /**
@@ -398,33 +1537,323 @@ function Recorder({ onClose }) {
    * Returns to recorder and resets state
    */
   const handleReRecord = useCallback(() => {
+    if (analysisData?.source !== 'upload') {
+      discardPersistedRecording();
+    }
+    setCurrentView('recorder');
+    setRecordingBlob(null);
+    setAnalysisData(null);
+    setSegments([]);
+    setTrim({ start: 0, end: null });
+    setNotice(null);
+    setElapsed(0);
+  }, [analysisData, discardPersistedRecording]);
+
+  /**
+   * Leaves the analysis shown on the loading screen running in the background
+   * and returns to the recorder; a notification links to the report when it is ready
+   */
+  const handleContinueInBackground = useCallback(() => {
+    const jobId = stopWatchingAnalysisJob();
+    if (!jobId) return;
+    moveAnalysisJobToBackground(jobId);
+    // The saved copy stays until the job succeeds, so a failed analysis can still be recovered
     setCurrentView('recorder');
     setRecordingBlob(null);
+    setAnalysisData(null);
+    setSegments([]);
+    setTrim({ start: 0, end: null });
+    setNotice(null);
+    setElapsed(0);
+  }, [stopWatchingAnalysisJob]);
+
+  /**
+   * Opens the review screen with a recording recovered from IndexedDB
+   * Metrics saved with the last chunk are restored; the segment still open
+   * when the take was interrupted is closed at the last saved time.
+   */
+  const handleRecoverRecording = useCallback(() => {
+    const recovered = unfinishedRecording;
+    const recoveredSegments = [...(recovered.segments || [])];
+    const lastEnd = recoveredSegments.length > 0 ? recoveredSegments[recoveredSegments.length - 1].end : 0;
+    if (recovered.recordedSeconds > lastEnd) {
+      recoveredSegments.push({ start: lastEnd, end: recovered.recordedSeconds });
+    }
+
+    persistedTakeRef.current = recovered.startedAt;
+    setUnfinishedRecording(null);
+    setUploadError(null);
+    setNotice(null);
+    setRecordingBlob(recovered.blob);
+    setSegments(recoveredSegments);
+    setTrim({ start: 0, end: null });
+    setElapsed(Math.round(recovered.recordedSeconds || 0));
+    setAnalysisData({
+      source: 'recovered',
+      eyeContactScore: recovered.totalFrames > 0
+        ? Math.round((recovered.eyeContactFrames / recovered.totalFrames) * 100)
+        : null,
+      eyeContactUnavailable: recovered.totalFrames > 0 ? null : 'Eye-contact analysis was skipped.',
+      eyeContactSamples: recovered.eyeContactSamples || null,
+      lookAways: recovered.eyeContactSamples ? computeLookAwayIntervals(recovered.eyeContactSamples) : null,
+      poseFrames: recovered.poseFrames || null,
+      bodyLanguage: recovered.poseFrames ? summarizeBodyLanguage(recovered.poseFrames) : null,
+      segments: recoveredSegments,
+      silences: recovered.silences || []
+    });
+    // No frames were saved (e.g. the model was still loading): analyse the video instead
+    if (!recovered.totalFrames && !recovered.blob.type.startsWith('audio/')) {
+      setEyeContactAnalysis({ status: 'pending', progress: null, error: null });
+    }
+    setCurrentView('review');
+  }, [unfinishedRecording]);
+
+  /**
+   * Dismisses the recovery prompt and deletes the unfinished recording
+   */
+  const handleDiscardRecovered = useCallback(() => {
+    setUnfinishedRecording(null);
+    discardPersistedRecording();
+  }, [discardPersistedRecording]);
+
+  /**
+   * Handles a file dropped or picked in the upload zone
+   * Validates it and opens the review screen as if it had just been recorded
+   *
+   * @param {File} selectedFile - File chosen by the user
+   */
+  const handleFileSelected = useCallback((selectedFile) => {
+    const { file, error: validationError } = prepareUploadFile(selectedFile, UPLOAD_SETTINGS);
+    if (validationError) {
+      setUploadError(validationError);
+      return;
+    }
+
+    setUploadError(null);
+    setNotice(null);
+    setRecordingBlob(file);
+    setSegments([]);
+    setTrim({ start: 0, end: null });
+    setElapsed(0);
+    // Videos are analysed for eye contact on the review screen; audio files have no picture
+    const isAudioFile = file.type.startsWith('audio/');
+    setAnalysisData({
+      source: 'upload',
+      eyeContactScore: null,
+      eyeContactUnavailable: isAudioFile ? 'Not measured for audio files.' : 'Eye-contact analysis was skipped.'
+    });
+    if (!isAudioFile) {
+      setEyeContactAnalysis({ status: 'pending', progress: null, error: null });
+    }
+    setCurrentView('review');
+  }, []);
+
+  /**
+   * Stops the video eye-contact analysis; the session is scored without it
+   */
+  const handleSkipEyeContactAnalysis = useCallback(() => {
+    cancelEyeContactAnalysis();
+    setEyeContactAnalysis(null);
+  }, [cancelEyeContactAnalysis]);
+
+  /**
+   * Runs the video eye-contact analysis again after a failure
+   */
+  const handleRetryEyeContactAnalysis = useCallback(() => {
+    setEyeContactAnalysis({ status: 'pending', progress: null, error: null });
+  }, []);
+
+  /**
+   * Uses the uploaded file's real duration for the review screen
+   */
+  const handleReviewMetadata = useCallback((event) => {
+    const { duration } = event.currentTarget;
+    if (analysisData?.source === 'upload' && Number.isFinite(duration)) {
+      setElapsed(Math.round(duration));
+    }
+  }, [analysisData]);
+
+  /**
+   * Moves the review player to a trim handle so the cut point can be checked
+   *
+   * @param {number} time - Position in seconds
+   */
+  const handleTrimSeek = useCallback((time) => {
+    if (reviewMediaRef.current) {
+      reviewMediaRef.current.currentTime = time;
+    }
+  }, []);
+
+  /**
+   * Keeps review playback inside the trimmed range
+   */
+  const handleReviewTimeUpdate = useCallback((event) => {
+    const media = event.currentTarget;
+    if (trimRange && !media.paused && media.currentTime >= trimRange.end) {
+      media.pause();
+      media.currentTime = trimRange.end;
+    }
+  }, [trimRange]);
+
+  /**
+   * Starts review playback at the in point when played from before it
+   */
+  const handleReviewPlay = useCallback((event) => {
+    const media = event.currentTarget;
+    if (trimRange && (media.currentTime < trimRange.start || media.currentTime >= trimRange.end)) {
+      media.currentTime = trimRange.start;
+    }
+  }, [trimRange]);
+
+  /**
+   * Analyzes every answer of an interview session, one after another
+   * A failed answer is kept with its error so the rest of the session still gets scored
+   *
+   * @param {Array<Object>} answers - Recorded answers with their local analysis data
+   */
+  const analyzeInterviewSession = useCallback(async (answers) => {
+    const controller = new AbortController();
+    analysisRequestRef.current = controller;
+    setCurrentView('loading');
+
+    const analysed = [];
+    for (let i = 0; i < answers.length; i++) {
+      const answer = answers[i];
+      // Cancelling skips the remaining answers; finished ones keep their results
+      if (controller.signal.aborted) {
+        analysed.push({ ...answer, analysisData: null, error: 'Analysis was cancelled.' });
+        continue;
+      }
+      setAnalyzingAnswerIndex(i);
+      setUploadProgress(0);
+      setAnalysisStage(ANALYSIS_STAGES[0].id);
+      try {
+        const result = await analyzeVideo(answer.blob, {
+          trim: answer.analysisData?.trim || null,
+          onUploadProgress: setUploadProgress,
+          onStage: setAnalysisStage,
+          signal: controller.signal
+        });
+        analysed.push({ ...answer, analysisData: mergeAnalysisResult(answer.analysisData, result), error: null });
+      } catch (error) {
+        console.error(`Analysis of answer ${i + 1} failed:`, error);
+        const message = error.name === 'AbortError' ? 'Analysis was cancelled.' : describeAnalysisFailure(error).message;
+        analysed.push({ ...answer, analysisData: null, error: message });
+      }
+    }
+
+    analysisRequestRef.current = null;
+    setAnalyzingAnswerIndex(null);
+    setInterviewAnswers(analysed);
+    setCurrentView('session');
+  }, []);
+
+  /**
+   * Saves the reviewed recording as the answer to the current question
+   * Moves on to the next question, or analyzes the session after the last one
+   */
+  const handleSaveAnswer = useCallback(() => {
+    const answerData = applyTrimToAnalysis(analysisData, trimRange);
+    const answers = [
+      ...interviewAnswers,
+      { question: currentQuestion, blob: recordingBlob, analysisData: answerData, error: null }
+    ];
+    setInterviewAnswers(answers);
+    discardPersistedRecording();
+
+    setRecordingBlob(null);
+    setAnalysisData(null);
+    setSegments([]);
+    setTrim({ start: 0, end: null });
+    setNotice(null);
     setElapsed(0);
+
+    if (isLastQuestion) {
+      analyzeInterviewSession(answers);
+    } else {
+      setCurrentView('recorder');
+    }
+  }, [interviewAnswers, currentQuestion, recordingBlob, analysisData, trimRange, isLastQuestion, analyzeInterviewSession, discardPersistedRecording]);
+
+  /**
+   * Opens the full Dashboard for one answer of the session
+   */
+  const handleSelectAnswer = useCallback((index) => {
+    setSelectedAnswerIndex(index);
+    setCurrentView('dashboard');
   }, []);
 
+  /**
+   * Leaves the session summary and starts a new interview session
+   */
+  const handleNewSession = useCallback(() => {
+    setInterviewAnswers([]);
+    drawInterviewQuestions();
+    setCurrentView('recorder');
+  }, [drawInterviewQuestions]);
+
   // ========== RENDER METHODS ==========
 
   /**
    * Renders the loading screen
    */
   if (currentView === 'loading') {
-    return <LoadingScreen onComplete={handleLoadingComplete} autoComplete={false} />;
+    return (
+      <LoadingScreen
+        key={analyzingAnswerIndex}
+        onComplete={handleLoadingComplete}
+        autoComplete={false}
+        stage={analysisStage}
+        uploadProgress={uploadProgress}
+        onCancel={handleCancelAnalysis}
+        onContinueInBackground={analyzingAnswerIndex === null && analysisStage !== 'uploading' ? handleContinueInBackground : undefined}
+        title={analyzingAnswerIndex !== null
+          ? `Analyzing Answer ${analyzingAnswerIndex + 1} of ${interviewQuestions.length}`
+          : undefined}
+      />
+    );
+  }
+
+  /**
+   * Renders the interview session summary
+   */
+  if (currentView === 'session') {
+    return (
+      <InterviewSessionDashboard
+        answers={interviewAnswers}
+        onSelectAnswer={handleSelectAnswer}
+        onBack={handleNewSession}
+      />
+    );
   }
 
   /**
    * Renders the dashboard with analysis results
    */
   if (currentView === 'dashboard') {
+    const selectedAnswer = selectedAnswerIndex !== null ? interviewAnswers[selectedAnswerIndex] : null;
     return (
       <Dashboard 
         onBack={handleDashboardBack} 
-        recordingBlob={recordingBlob}
-        analysisData={analysisData}
+        backLabel={selectedAnswer ? '← Back to Session' : undefined}
+        recordingBlob={selectedAnswer ? selectedAnswer.blob : recordingBlob}
+        analysisData={selectedAnswer ? selectedAnswer.analysisData : analysisData}
       />
     );
   }
 
+  /**
+   * Current interview question, shown while recording and reviewing an answer
+   */
+  const questionCard = isInterviewMode && currentQuestion && (
+    <div className="max-w-video w-full bg-surface border border-border-subtle shadow-small rounded-md px-md py-3">
+      <p className="text-xs font-semibold text-text-secondary">
+        Question {interviewAnswers.length + 1} of {interviewQuestions.length}
+      </p>
+      <p className="font-manrope text-lg font-bold text-text-primary">{currentQuestion}</p>
+    </div>
+  );
+
   /**
    * Renders the review screen for recorded video
    */
@@ -451,22 +1880,107 @@ function Recorder({ onClose }) {
         {/* Review Interface */}
         <div className="flex flex-col items-center justify-center gap-md max-w-layout mx-auto">
           
+          {/* Analysis Service Status */}
+          {isServiceUnreachable && (
+            <ServiceStatusBanner serviceUrl={API_CONFIG.BASE_URL} onRetry={checkService} />
+          )}
+
+          {/* Analysis Error */}
+          {analysisFailure && (
+            <AnalysisErrorPanel
+              failure={analysisFailure}
+              canRetry={!isAnalysingEyeContact && !isServiceUnreachable}
+              onRetry={handleAnalyzeSpeech}
+              onReRecord={handleReRecord}
+              onDownload={handleDownloadRecording}
+            />
+          )}
+
+          {/* Device Notice */}
+          {notice && (
+            <div className="max-w-video w-full bg-amber-50 border border-amber-200 text-amber-800 px-md py-3 rounded-md">
+              <p className="text-sm font-medium">{notice}</p>
+            </div>
+          )}
+
+          {/* Interview Question */}
+          {questionCard}
+
+          {/* Audio Preview (audio-only recordings and uploads) */}
+          {recordingBlob && recordingBlob.type.startsWith('audio/') && (
+            <audio
+              ref={reviewMediaRef}
+              controls
+              onLoadedMetadata={handleReviewMetadata}
+              onTimeUpdate={handleReviewTimeUpdate}
+              onPlay={handleReviewPlay}
+              src={URL.createObjectURL(recordingBlob)}
+              className="w-video max-w-full md:w-full"
+              aria-label="Recording preview"
+            />
+          )}
+
           {/* Video Preview */}
-          {recordingBlob && (
+          {recordingBlob && !recordingBlob.type.startsWith('audio/') && (
             <video
+              ref={reviewMediaRef}
               controls
+              onLoadedMetadata={handleReviewMetadata}
+              onTimeUpdate={handleReviewTimeUpdate}
+              onPlay={handleReviewPlay}
               className="w-video max-w-full h-video bg-accent rounded-md md:w-full md:h-auto md:aspect-video"
               aria-label="Recording preview"
             >
-              <source src={URL.createObjectURL(recordingBlob)} type="video/webm" />
+              <source src={URL.createObjectURL(recordingBlob)} type={recordingBlob.type || 'video/webm'} />
               Your browser does not support the video tag.
             </video>
           )}
 
+          {/* Trim Handles */}
+          <TrimControls
+            duration={reviewDuration}
+            trim={trim}
+            onChange={setTrim}
+            onSeek={handleTrimSeek}
+          />
+
           {/* Recording Duration */}
           <div className="font-manrope text-xl font-bold text-text-primary">
             Recording Duration: {formatTime(elapsed)}
+            {trimRange && ` (trimmed to ${formatTime(Math.round(trimRange.end - trimRange.start))})`}
           </div>
+          {recordingBlob?.name && (
+            <p className="text-sm text-text-secondary -mt-sm">{recordingBlob.name}</p>
+          )}
+
+          {/* Eye-contact analysis of uploaded/recovered videos */}
+          {eyeContactAnalysis && (
+            <EyeContactAnalysisProgress
+              status={eyeContactAnalysis.status}
+              progress={eyeContactAnalysis.progress}
+              error={eyeContactAnalysis.error}
+              onSkip={handleSkipEyeContactAnalysis}
+              onRetry={handleRetryEyeContactAnalysis}
+            />
+          )}
+
+          {/* Silent Input Report */}
+          {analysisData?.silences?.length > 0 && (
+            <div className="max-w-video w-full bg-amber-50 border border-amber-200 text-amber-800 px-md py-3 rounded-md">
+              <p className="text-sm font-medium">
+                No audio was detected at {analysisData.silences.map(silence =>
+                  `${formatTime(Math.round(silence.start))}–${formatTime(Math.round(silence.end))}`
+                ).join(', ')}. Check your microphone and consider re-recording.
+              </p>
+            </div>
+          )}
+
+          {/* Segment Timeline (only meaningful when the take was paused) */}
+          {segments.length > 1 && (
+            <div className="w-video max-w-full md:w-full">
+              <SegmentTimeline segments={segments} />
+            </div>
+          )}
 
           {/* Action Buttons */}
           <div className="flex gap-4 mt-4">
@@ -478,19 +1992,32 @@ function Recorder({ onClose }) {
               Re-record
             </button>
             
-            <button
-              onClick={handleAnalyzeSpeech}
-              className="btn-primary min-w-32"
-              aria-label="Analyze your speech"
-            >
-              Analyze Speech
-            </button>
+            {isInterviewMode ? (
+              <button
+                onClick={handleSaveAnswer}
+                disabled={isAnalysingEyeContact || (isLastQuestion && isServiceUnreachable)}
+                className="btn-primary min-w-32 disabled:opacity-50 disabled:cursor-not-allowed"
+                aria-label={isLastQuestion ? 'Save answer and analyze the session' : 'Save answer and go to the next question'}
+              >
+                {isLastQuestion ? 'Finish & Analyze Session' : 'Next Question'}
+              </button>
+            ) : (
+              <button
+                onClick={handleAnalyzeSpeech}
+                disabled={isAnalysingEyeContact || isServiceUnreachable}
+                className="btn-primary min-w-32 disabled:opacity-50 disabled:cursor-not-allowed"
+                aria-label="Analyze your speech"
+              >
+                Analyze Speech
+              </button>
+            )}
           </div>
 
           {/* Helpful Instructions */}
           <p className="text-text-secondary text-center max-w-md text-sm mt-4">
-            Review your recording above. If you're happy with it, click "Analyze Speech" to get AI feedback. 
-            Otherwise, click "Re-record" to try again.
+            {isInterviewMode
+              ? 'Review your answer above. If you\'re happy with it, keep it and move on. Otherwise, click "Re-record" to answer this question again.'
+              : 'Review your recording above. If you\'re happy with it, click "Analyze Speech" to get AI feedback. Otherwise, click "Re-record" to try again.'}
           </p>
           
         </div>
@@ -522,6 +2049,11 @@ function Recorder({ onClose }) {
       {/* Recording Interface */}
       <div className="flex flex-col items-center justify-center gap-md max-w-layout mx-auto mt-16">
         
+        {/* Analysis Service Status */}
+        {isServiceUnreachable && (
+          <ServiceStatusBanner serviceUrl={API_CONFIG.BASE_URL} onRetry={checkService} />
+        )}
+
         {/* Error Display */}
         {error && (
           <div className="mb-md max-w-video w-full bg-red-50 border border-red-200 text-red-700 px-md py-3 rounded-md">
@@ -542,34 +2074,282 @@ function Recorder({ onClose }) {
           </div>
         )}
 
-        {/* Video Preview */}
-        <video
-          ref={videoRef}
-          autoPlay
-          playsInline
-          muted={!isRecording}
-          className="w-video max-w-full h-video bg-accent rounded-md md:w-full md:h-auto md:aspect-video"
-          aria-label="Webcam preview"
+        {/* Device Notice */}
+        {notice && (
+          <div className="max-w-video w-full bg-amber-50 border border-amber-200 text-amber-800 px-md py-3 rounded-md">
+            <p className="text-sm font-medium">{notice}</p>
+          </div>
+        )}
+
+        {/* Unfinished Recording Prompt */}
+        {unfinishedRecording && !isRecording && (
+          <div className="max-w-video w-full bg-surface border border-border-subtle px-md py-3 rounded-md flex flex-col md:flex-row md:items-center gap-sm" role="alert">
+            <p className="text-sm font-medium text-text-primary flex-1">
+              We found an unfinished recording from {new Date(unfinishedRecording.startedAt).toLocaleString()}
+              {' '}({formatTime(Math.round(unfinishedRecording.recordedSeconds || 0))}). Recover it?
+            </p>
+            <div className="flex gap-sm">
+              <button onClick={handleRecoverRecording} className="btn-primary">
+                Recover
+              </button>
+              <button onClick={handleDiscardRecovered} className="btn-secondary">
+                Discard
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Silent Microphone Warning */}
+        {isInputSilent && !isInitializing && (
+          <div className="max-w-video w-full bg-amber-50 border border-amber-200 text-amber-800 px-md py-3 rounded-md" role="alert">
+            <p className="text-sm font-medium">
+              {isRecording && !isPaused
+                ? 'No audio detected for the last few seconds. Check that your microphone is not muted.'
+                : "We can't hear your microphone. Check that it is not muted, or pick a different microphone below."}
+            </p>
+          </div>
+        )}
+
+        {/* Practice Mode */}
+        <PracticeModeSelector
+          modeId={practiceModeId}
+          onModeChange={setPracticeModeId}
+          autoStop={autoStop}
+          onAutoStopChange={setAutoStop}
+          disabled={isRecording || countdown !== null}
+        />
+
+        {/* Script Mode Toggle */}
+        <label className="flex items-center gap-2 text-sm text-text-secondary">
+          <input
+            type="checkbox"
+            checked={isScriptMode}
+            onChange={(e) => setIsScriptMode(e.target.checked)}
+            disabled={isRecording || countdown !== null}
+            className="accent-emerald-500"
+          />
+          Read from a script (teleprompter)
+        </label>
+
+        {/* Interview Drill Toggle */}
+        <label className="flex items-center gap-2 text-sm text-text-secondary">
+          <input
+            type="checkbox"
+            checked={isInterviewMode}
+            onChange={(e) => setIsInterviewMode(e.target.checked)}
+            disabled={isRecording || countdown !== null || interviewAnswers.length > 0}
+            className="accent-emerald-500"
+          />
+          Interview drill (one answer per question)
+        </label>
+
+        {isInterviewMode && (
+          <InterviewSetup
+            bank={questionBank}
+            categoryId={interviewCategoryId}
+            onCategoryChange={setInterviewCategoryId}
+            questionCount={interviewQuestionCount}
+            onQuestionCountChange={setInterviewQuestionCount}
+            onShuffle={drawInterviewQuestions}
+            disabled={isRecording || countdown !== null || interviewAnswers.length > 0}
+          />
+        )}
+
+        {/* Interview Question */}
+        {questionCard}
+
+        {/* Audio-Only Toggle */}
+        <label className="flex items-center gap-2 text-sm text-text-secondary">
+          <input
+            type="checkbox"
+            checked={isAudioOnly}
+            onChange={(e) => setIsAudioOnly(e.target.checked)}
+            disabled={isRecording || countdown !== null || isPresentationMode}
+            className="accent-emerald-500"
+          />
+          Audio only (no camera, voice feedback only)
+        </label>
+
+        {/* Presentation Mode Toggle */}
+        <div className="flex items-center gap-md">
+          <label className="flex items-center gap-2 text-sm text-text-secondary">
+            <input
+              type="checkbox"
+              checked={isPresentationMode}
+              onChange={(e) => handlePresentationModeChange(e.target.checked)}
+              disabled={isRecording || countdown !== null || isAudioOnly}
+              className="accent-emerald-500"
+            />
+            Presentation mode (record your slides with a webcam inset)
+          </label>
+          {isPresentationMode && (
+            <button
+              type="button"
+              onClick={isScreenShared ? stopScreenShare : startScreenShare}
+              disabled={isRecording || isInitializing || !!error}
+              className="btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isScreenShared ? 'Stop Sharing' : 'Share Screen'}
+            </button>
+          )}
+        </div>
+
+        {/* Preview and Teleprompter */}
+        <div className="flex flex-col md:flex-row items-center md:items-start justify-center gap-md w-full">
+          {/* Video Preview with Microphone Level */}
+          <div className="relative max-w-full md:w-full md:flex-1">
+            {/* Composited slides + webcam preview (presentation mode) */}
+            {isPresentationMode && (
+              <canvas
+                ref={compositeCanvasRef}
+                className={isScreenShared
+                  ? 'w-video max-w-full h-video bg-accent rounded-md object-contain md:w-full md:h-auto md:aspect-video'
+                  : 'hidden'}
+                aria-label="Presentation preview"
+              />
+            )}
+            {/* While presenting, the webcam element stays mounted (but visually hidden)
+                because eye-contact detection reads frames from it */}
+            {isAudioOnly ? (
+              <AudioWaveform analyser={audioAnalyser} isSilent={isInputSilent} />
+            ) : (
+              <video
+                ref={videoRef}
+                autoPlay
+                playsInline
+                muted={!isRecording}
+                className={isScreenShared
+                  ? 'absolute top-0 left-0 w-px h-px opacity-0 pointer-events-none'
+                  : 'w-video max-w-full h-video bg-accent rounded-md md:w-full md:h-auto md:aspect-video'}
+                aria-label="Webcam preview"
+              />
+            )}
+            {!isInitializing && !error && (
+              <div className="absolute bottom-3 left-3">
+                <AudioLevelMeter level={audioLevel} isSilent={isInputSilent} />
+              </div>
+            )}
+            {!isAudioOnly && !error && (
+              <div className="absolute top-3 left-3 flex flex-col items-start gap-1">
+                <ModelStatusBadge label="Eye contact" status={eyeContactModelStatus} message={eyeContactModelError} />
+                <ModelStatusBadge label="Body language" status={poseModelStatus} message={poseModelError} />
+              </div>
+            )}
+            {countdown !== null && (
+              <div className="absolute inset-0 flex items-center justify-center bg-black bg-opacity-40 rounded-md" aria-live="assertive">
+                <span className="font-manrope text-8xl font-bold text-white">{countdown}</span>
+              </div>
+            )}
+          </div>
+
+          {/* Teleprompter (script mode) */}
+          {isScriptMode && (
+            <Teleprompter
+              script={script}
+              onScriptChange={setScript}
+              isRecording={isRecording}
+              isRunning={isRecording && !isPaused}
+            />
+          )}
+        </div>
+
+        {/* Lighting and Framing Check */}
+        {!isAudioOnly && !isRecording && countdown === null && framingCheck.status !== 'idle' && (
+          <FramingChecklist
+            status={framingCheck.status}
+            result={framingCheck.result}
+            acknowledged={framingCheck.acknowledged}
+            onRecheck={runSetupCheck}
+            onProceed={() => setFramingCheck(prev => ({ ...prev, acknowledged: true }))}
+          />
+        )}
+
+        {/* Eye-Contact Calibration */}
+        {!isAudioOnly && eyeContactModelStatus === 'ready' && !isRecording && (
+          isCalibrating ? (
+            <EyeContactCalibration
+              onCollect={handleCalibrationCollect}
+              onSave={handleCalibrationSave}
+              onReset={handleCalibrationReset}
+              onClose={() => setIsCalibrating(false)}
+              calibration={eyeContactCalibration}
+            />
+          ) : (
+            <button
+              type="button"
+              onClick={() => setIsCalibrating(true)}
+              disabled={countdown !== null}
+              className="text-sm font-semibold text-text-secondary underline disabled:opacity-50"
+            >
+              {eyeContactCalibration ? 'Recalibrate eye contact' : 'Calibrate eye contact for your setup'}
+            </button>
+          )
+        )}
+
+        {/* Camera / Microphone / Resolution Picker */}
+        <DeviceSelector
+          videoInputs={availableDevices.videoInputs}
+          audioInputs={availableDevices.audioInputs}
+          preferences={devicePreferences}
+          onChange={handleDevicePreferencesChange}
+          disabled={isRecording || isInitializing || countdown !== null}
+          audioOnly={isAudioOnly}
         />
 
+        {/* Remaining Time (timed practice modes) */}
+        {isRecording && practiceMode.targetSeconds && (
+          <RemainingTimeBar elapsed={elapsed} targetSeconds={practiceMode.targetSeconds} />
+        )}
+
         {/* Recording Timer */}
-        <div className="font-manrope text-2xl font-bold text-text-primary min-h-8 flex items-center">
+        <div className="font-manrope text-2xl font-bold text-text-primary min-h-8 flex items-center gap-2">
           {formatTime(elapsed)}
+          {isPaused && (
+            <span className="text-sm font-semibold text-text-secondary">Paused</span>
+          )}
         </div>
 
-        {/* Record/Stop Button */}
-        <button
-          onClick={isRecording ? stopRecording : startRecording}
-          disabled={isInitializing || !!error}
-          className={`min-w-36 ${
-            isRecording 
-              ? 'btn-error' 
-              : 'btn-primary'
-          } disabled:opacity-50 disabled:cursor-not-allowed`}
-          aria-label={isRecording ? 'Stop recording' : 'Start recording'}
-        >
-          {isInitializing ? 'Initializing...' : isRecording ? 'Stop Recording' : 'Start Recording'}
-        </button>
+        <div className="flex gap-4">
+          {/* Pause/Resume Button */}
+          {isRecording && (
+            <button
+              onClick={isPaused ? resumeRecording : pauseRecording}
+              className="btn-secondary min-w-32"
+              aria-label={isPaused ? 'Resume recording' : 'Pause recording'}
+            >
+              {isPaused ? 'Resume' : 'Pause'}
+            </button>
+          )}
+
+          {/* Record/Stop Button */}
+          <button
+            onClick={isRecording ? stopRecording : countdown !== null ? cancelCountdown : handleStartClick}
+            disabled={isInitializing || !!error || isCalibrating || (isBlockedBySetupCheck && !isRecording) || (isPresentationMode && !isScreenShared && !isRecording)}
+            className={`min-w-36 ${
+              isRecording 
+                ? 'btn-error' 
+                : 'btn-primary'
+            } disabled:opacity-50 disabled:cursor-not-allowed`}
+            aria-label={isRecording ? 'Stop recording' : countdown !== null ? 'Cancel countdown' : 'Start recording'}
+          >
+            {isInitializing
+              ? 'Initializing...'
+              : isRecording
+                ? 'Stop Recording'
+                : countdown !== null
+                  ? 'Cancel'
+                  : 'Start Recording'}
+          </button>
+        </div>
+
+        {/* Upload an Existing Recording */}
+        <FileDropZone
+          onFileSelected={handleFileSelected}
+          disabled={isRecording || countdown !== null}
+        />
+        {uploadError && (
+          <p className="text-sm font-medium text-red-600" role="alert">{uploadError}</p>
+        )}
         
       </div>
     </div>
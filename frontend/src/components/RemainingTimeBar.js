@@ -0,0 +1,39 @@
+/**
+ * Remaining Time Bar Component
+ *
+ * Progress bar towards a practice mode's target length, shown while recording.
+ */
+
+import React from 'react';
+import { formatTime } from '../utils';
+
+/**
+ * Remaining Time Bar Component
+ *
+ * @param {Object} props - Component props
+ * @param {number} props.elapsed - Seconds recorded so far
+ * @param {number} props.targetSeconds - Target length in seconds
+ * @returns {JSX.Element} Progress bar with remaining (or overtime) label
+ */
+const RemainingTimeBar = ({ elapsed, targetSeconds }) => {
+  const remaining = targetSeconds - elapsed;
+  const isOver = remaining < 0;
+  const isEnding = !isOver && remaining <= 10;
+  const percentage = Math.min(100, (elapsed / targetSeconds) * 100);
+
+  return (
+    <div className="w-video max-w-full md:w-full">
+      <div className="w-full bg-gray-200 rounded-full h-2">
+        <div
+          className={`${isOver ? 'bg-red-500' : isEnding ? 'bg-amber-500' : 'bg-emerald-500'} h-2 rounded-full transition-all duration-300`}
+          style={{ width: `${percentage}%` }}
+        />
+      </div>
+      <p className={`mt-1 text-xs font-semibold text-right ${isOver ? 'text-red-600' : 'text-text-secondary'}`}>
+        {isOver ? `${formatTime(-remaining)} over target` : `${formatTime(remaining)} left`}
+      </p>
+    </div>
+  );
+};
+
+export default RemainingTimeBar;
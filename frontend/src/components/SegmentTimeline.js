@@ -0,0 +1,59 @@
+/**
+ * Segment Timeline Component
+ *
+ * Displays the takes that make up a recording as a horizontal strip.
+ * Each pause/resume boundary splits the recording into a new segment.
+ */
+
+import React from 'react';
+import { formatTime } from '../utils';
+
+/**
+ * Segment Timeline Component
+ *
+ * Segment times are measured on the recording's own timeline (paused time
+ * is not part of the recording), so consecutive segments touch each other.
+ *
+ * @param {Object} props - Component props
+ * @param {Array<{start: number, end: number}>} props.segments - Recorded segments in seconds
+ * @param {Function} [props.onSeek] - Called with a time in seconds when a segment is clicked
+ * @returns {JSX.Element|null} Timeline strip, or nothing when there are no segments
+ */
+const SegmentTimeline = ({ segments, onSeek }) => {
+  if (!segments || segments.length === 0) {
+    return null;
+  }
+
+  const total = segments[segments.length - 1].end || 1;
+
+  return (
+    <div className="w-full">
+      {/* Segment Bar */}
+      <div className="flex w-full h-3 rounded-full overflow-hidden bg-gray-200">
+        {segments.map((segment, index) => (
+          <button
+            key={index}
+            type="button"
+            onClick={() => onSeek && onSeek(segment.start)}
+            disabled={!onSeek}
+            className={`h-full ${index % 2 === 0 ? 'bg-emerald-500' : 'bg-emerald-400'} ${
+              index > 0 ? 'border-l-2 border-white' : ''
+            } disabled:cursor-default`}
+            style={{ width: `${((segment.end - segment.start) / total) * 100}%` }}
+            aria-label={`Jump to take ${index + 1}`}
+          />
+        ))}
+      </div>
+
+      {/* Segment Labels */}
+      <div className="flex justify-between mt-1 text-xs font-medium text-gray-600">
+        <span>
+          {segments.length} {segments.length === 1 ? 'take' : 'takes'}, {segments.length - 1} {segments.length === 2 ? 'pause' : 'pauses'}
+        </span>
+        <span>{formatTime(Math.round(total))}</span>
+      </div>
+    </div>
+  );
+};
+
+export default SegmentTimeline;
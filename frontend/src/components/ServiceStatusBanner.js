@@ -0,0 +1,51 @@
+/**
+ * Service Status Banner Component
+ *
+ * Tells the user the analysis backend cannot be reached and that their
+ * recording is kept until it is back.
+ */
+
+import React, { useState, useCallback } from 'react';
+
+/**
+ * Service Status Banner Component
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.serviceUrl - Backend base URL, shown so misconfigured deployments are easy to spot
+ * @param {Function} props.onRetry - Probes the service again; may return a promise
+ * @returns {JSX.Element} Warning banner
+ */
+const ServiceStatusBanner = ({ serviceUrl, onRetry }) => {
+  const [isChecking, setIsChecking] = useState(false);
+
+  const handleRetry = useCallback(async () => {
+    setIsChecking(true);
+    try {
+      await onRetry();
+    } finally {
+      setIsChecking(false);
+    }
+  }, [onRetry]);
+
+  return (
+    <div className="max-w-video w-full bg-amber-50 border border-amber-200 text-amber-900 px-md py-3 rounded-md flex items-start justify-between gap-sm" role="alert">
+      <div className="text-sm">
+        <p className="font-semibold">Analysis service unreachable</p>
+        <p className="text-amber-800">
+          {serviceUrl} is not responding. You can keep recording; your recording is kept on this
+          device and can be analyzed once the service is back. We will keep checking.
+        </p>
+      </div>
+      <button
+        type="button"
+        onClick={handleRetry}
+        disabled={isChecking}
+        className="shrink-0 text-sm font-semibold underline disabled:opacity-50"
+      >
+        {isChecking ? 'Checking…' : 'Check now'}
+      </button>
+    </div>
+  );
+};
+
+export default ServiceStatusBanner;
@@ -0,0 +1,105 @@
+/**
+ * Teleprompter Component
+ *
+ * Script input shown beside the webcam preview. Before recording the script
+ * can be pasted in; while recording it scrolls at an adjustable speed.
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+
+/**
+ * Teleprompter Component
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.script - Script text
+ * @param {Function} props.onScriptChange - Called with the edited script
+ * @param {boolean} props.isRecording - Shows the scrolling view instead of the editor
+ * @param {boolean} props.isRunning - Whether scrolling should advance (recording and not paused)
+ * @returns {JSX.Element} Script editor or scrolling teleprompter
+ */
+const Teleprompter = ({ script, onScriptChange, isRecording, isRunning }) => {
+  const scrollRef = useRef(null);
+  const positionRef = useRef(0); // Fractional scroll offset (scrollTop may round small steps away)
+  const [speed, setSpeed] = useState(30); // Pixels per second
+  const [isHeld, setIsHeld] = useState(false); // Teleprompter paused by the user
+
+  // Scroll smoothly while running, using frame time so speed is independent of frame rate
+  useEffect(() => {
+    if (!isRecording || !isRunning || isHeld || !scrollRef.current) return;
+
+    let frameId;
+    let lastTime = null;
+    // Continue from wherever the user may have scrolled manually
+    positionRef.current = scrollRef.current.scrollTop;
+
+    const step = (time) => {
+      if (lastTime !== null && scrollRef.current) {
+        positionRef.current += (speed * (time - lastTime)) / 1000;
+        scrollRef.current.scrollTop = positionRef.current;
+      }
+      lastTime = time;
+      frameId = requestAnimationFrame(step);
+    };
+    frameId = requestAnimationFrame(step);
+
+    return () => cancelAnimationFrame(frameId);
+  }, [isRecording, isRunning, isHeld, speed]);
+
+  // Each recording starts scrolling (the view itself remounts at the top)
+  useEffect(() => {
+    if (isRecording) {
+      setIsHeld(false);
+    }
+  }, [isRecording]);
+
+  return (
+    <div className="flex flex-col gap-sm w-full md:w-72 h-video">
+      {isRecording ? (
+        <div
+          ref={scrollRef}
+          className="flex-1 overflow-y-auto bg-accent text-white rounded-md px-md py-xl text-xl leading-relaxed font-semibold whitespace-pre-wrap"
+          aria-label="Teleprompter"
+        >
+          {script}
+          {/* Trailing space lets the last line scroll up to the top */}
+          <div className="h-video" />
+        </div>
+      ) : (
+        <textarea
+          value={script}
+          onChange={(e) => onScriptChange(e.target.value)}
+          placeholder="Paste your script here..."
+          className="flex-1 resize-none rounded-md border border-border-subtle bg-surface p-md text-sm text-text-primary focus:outline-none focus:ring-2 focus:ring-accent"
+          aria-label="Speech script"
+        />
+      )}
+
+      {/* Teleprompter Controls */}
+      <div className="flex items-center gap-2">
+        <button
+          type="button"
+          onClick={() => setIsHeld(prev => !prev)}
+          disabled={!isRecording}
+          className="border border-gray-200 font-medium px-3 py-1 rounded text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+          aria-label={isHeld ? 'Resume scrolling' : 'Pause scrolling'}
+        >
+          {isHeld ? 'Scroll' : 'Hold'}
+        </button>
+        <label htmlFor="teleprompter-speed" className="text-xs font-semibold text-text-secondary">
+          Speed
+        </label>
+        <input
+          id="teleprompter-speed"
+          type="range"
+          min="10"
+          max="120"
+          value={speed}
+          onChange={(e) => setSpeed(parseInt(e.target.value))}
+          className="flex-1 h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-emerald-500"
+        />
+      </div>
+    </div>
+  );
+};
+
+export default Teleprompter;
@@ -0,0 +1,105 @@
+/**
+ * Trim Controls Component
+ *
+ * In/out handles for the review screen so the fumbling at the start and end
+ * of a take can be cut before it is analysed.
+ */
+
+import React from 'react';
+import { formatTime } from '../utils';
+import { TRIM_SETTINGS } from '../constants';
+
+/**
+ * Trim Controls Component
+ *
+ * @param {Object} props - Component props
+ * @param {number} props.duration - Full recording length in seconds
+ * @param {{start: number, end: number|null}} props.trim - Current in/out points (end null = end of recording)
+ * @param {Function} props.onChange - Called with the updated trim
+ * @param {Function} [props.onSeek] - Called with a time in seconds when a handle moves
+ * @returns {JSX.Element|null} Range bar with in/out sliders, or nothing for an unknown duration
+ */
+const TrimControls = ({ duration, trim, onChange, onSeek }) => {
+  if (!duration || duration <= TRIM_SETTINGS.MIN_LENGTH_SECONDS) {
+    return null;
+  }
+
+  const start = trim.start;
+  const end = trim.end === null ? duration : Math.min(trim.end, duration);
+  const isTrimmed = start > 0 || end < duration;
+
+  const handleStartChange = (value) => {
+    const next = Math.min(value, end - TRIM_SETTINGS.MIN_LENGTH_SECONDS);
+    onChange({ ...trim, start: Math.max(next, 0) });
+    if (onSeek) onSeek(next);
+  };
+
+  const handleEndChange = (value) => {
+    const next = Math.max(value, start + TRIM_SETTINGS.MIN_LENGTH_SECONDS);
+    onChange({ ...trim, end: next >= duration ? null : next });
+    if (onSeek) onSeek(next);
+  };
+
+  const sliderClassName = 'w-full accent-emerald-500';
+
+  return (
+    <div className="w-video max-w-full md:w-full bg-surface border border-border-subtle rounded-md px-md py-sm">
+      <div className="flex items-center justify-between mb-2">
+        <span className="text-sm font-semibold text-text-primary">Trim</span>
+        <span className="text-xs font-medium text-text-secondary">
+          Keeping {formatTime(Math.round(start))}–{formatTime(Math.round(end))} ({formatTime(Math.round(end - start))})
+        </span>
+      </div>
+
+      {/* Kept Range */}
+      <div className="relative w-full h-2 rounded-full bg-gray-200 mb-sm">
+        <div
+          className="absolute h-2 rounded-full bg-emerald-500"
+          style={{ left: `${(start / duration) * 100}%`, width: `${((end - start) / duration) * 100}%` }}
+        />
+      </div>
+
+      {/* In/Out Handles */}
+      <div className="flex flex-col md:flex-row gap-md">
+        <label className="flex-1 text-xs font-semibold text-text-secondary">
+          In
+          <input
+            type="range"
+            min={0}
+            max={duration}
+            step={TRIM_SETTINGS.STEP_SECONDS}
+            value={start}
+            onChange={(e) => handleStartChange(Number(e.target.value))}
+            className={sliderClassName}
+            aria-label="Trim start"
+          />
+        </label>
+        <label className="flex-1 text-xs font-semibold text-text-secondary">
+          Out
+          <input
+            type="range"
+            min={0}
+            max={duration}
+            step={TRIM_SETTINGS.STEP_SECONDS}
+            value={end}
+            onChange={(e) => handleEndChange(Number(e.target.value))}
+            className={sliderClassName}
+            aria-label="Trim end"
+          />
+        </label>
+      </div>
+
+      {isTrimmed && (
+        <button
+          type="button"
+          onClick={() => onChange({ start: 0, end: null })}
+          className="mt-1 text-xs font-semibold text-text-primary underline"
+        >
+          Reset trim
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default TrimControls;
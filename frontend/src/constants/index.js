@@ -5,15 +5,159 @@
  * including media recording settings and mock data for components.
  */
 
+/**
+ * Settings that can be changed after the build, from public/config.js
+ */
+const RUNTIME_CONFIG = window.PRESENSE_CONFIG || {};
+
 /**
  * API Configuration
- * Update these URLs when deploying to production or changing backend location
+ * The backend URL is taken from public/config.js (apiBaseUrl) at runtime,
+ * then REACT_APP_API_BASE_URL at build time, then the hosted deployment.
  */
 export const API_CONFIG = {
-  BASE_URL: 'https://presense-szp6.onrender.com', // Backend base URL
+  BASE_URL: (RUNTIME_CONFIG.apiBaseUrl || process.env.REACT_APP_API_BASE_URL || 'https://presense-szp6.onrender.com')
+    .replace(/\/+$/, ''), // Backend base URL, without a trailing slash
   ENDPOINTS: {
     ANALYZE: '/api/v1/analyze', // Backend endpoint for complete speech analysis
-    HEALTH: '/'
+    ANALYSIS_JOBS: '/api/v1/analyze/jobs', // Background analysis jobs, polled by job id
+    UPLOADS: '/api/v1/uploads', // Resumable chunked uploads, analyzed by upload id
+    HEALTH: '/',                // Server health check
+    API_HEALTH: '/api/v1/'      // API router health check
+  },
+  TIMEOUT_MS: 5 * 60 * 1000, // Per API request; starting a job on a cold server can take a while
+  STALL_TIMEOUT_MS: 3 * 60 * 1000, // Streamed analysis: longest wait for the next stage event (one stage of a long take)
+  HEALTH_TIMEOUT_MS: 15000,  // Hosted backends can take a while to wake up
+  HEALTH_RETRY_MS: 20000     // Time between probes while the service is unreachable
+};
+
+/**
+ * Who users are asked to contact about errors they cannot fix themselves
+ * Taken from public/config.js (supportEmail), then REACT_APP_SUPPORT_EMAIL.
+ */
+export const SUPPORT_CONTACT = {
+  EMAIL: RUNTIME_CONFIG.supportEmail || process.env.REACT_APP_SUPPORT_EMAIL || null
+};
+
+/**
+ * Which analysis client the app uses: 'http' (the backend) or 'mock'
+ * (mockdata.json with simulated latency, no backend needed)
+ * Chosen by the ?analysis= query parameter, then public/config.js
+ * (analysisClient), then REACT_APP_ANALYSIS_CLIENT. The mock is tuned with
+ * ?mockLatency=<ms> and ?mockFailure=<error code, or failure rate from 0 to 1>.
+ */
+const QUERY_PARAMS = new URLSearchParams(window.location.search);
+export const ANALYSIS_CLIENT = {
+  MODE: QUERY_PARAMS.get('analysis') || RUNTIME_CONFIG.analysisClient || process.env.REACT_APP_ANALYSIS_CLIENT || 'http',
+  MOCK_LATENCY_MS: Number(QUERY_PARAMS.get('mockLatency') ?? process.env.REACT_APP_MOCK_LATENCY_MS ?? 6000), // Upload plus all stages
+  MOCK_FAILURE: QUERY_PARAMS.get('mockFailure') || process.env.REACT_APP_MOCK_FAILURE || null // e.g. 'TRANSCRIPTION_FAILED' or '0.3'
+};
+
+/**
+ * Chunked upload settings
+ * The server decides the chunk size; failed chunks are retried with
+ * exponential backoff, waiting for the browser to come back online first.
+ */
+export const CHUNKED_UPLOAD = {
+  MAX_RETRIES: 6,              // Per request, before the upload is given up
+  BACKOFF_BASE_MS: 1000,       // Delay before the first retry; doubles each attempt
+  BACKOFF_MAX_MS: 30000,
+  REQUEST_TIMEOUT_MS: 60000    // A chunk taking longer than this is retried
+};
+
+/**
+ * Background analysis jobs
+ * Jobs are polled until they finish, also after leaving the loading screen,
+ * and kept in localStorage so a reload does not lose them.
+ */
+export const ANALYSIS_JOBS = {
+  POLL_INTERVAL_MS: 2000,
+  REQUEST_TIMEOUT_MS: 15000,        // Per status request; a failed poll is simply retried
+  MAX_AGE_MS: 24 * 60 * 60 * 1000   // Forget jobs older than this (the server deletes them too)
+};
+
+/**
+ * Analysis stages in order, as shown on the loading screen
+ * "uploading" is tracked in the browser; the rest are stage events streamed
+ * by the analyze endpoint as each one starts.
+ */
+export const ANALYSIS_STAGES = [
+  { id: 'uploading', label: 'Uploading your recording', failure: 'uploading your recording' },
+  { id: 'received', label: 'Upload received', failure: 'preparing your recording' },
+  { id: 'extracting_audio', label: 'Extracting audio', failure: 'extracting the audio' },
+  { id: 'transcribing', label: 'Transcribing your speech', failure: 'transcribing your speech' },
+  { id: 'scoring', label: 'Scoring your delivery', failure: 'scoring your delivery' },
+  { id: 'done', label: 'Finalizing your results', failure: 'finalizing your results' }
+];
+
+/**
+ * What to tell the user, and which recovery actions to offer, per API error code
+ * Codes come from the backend error envelope, plus NETWORK_ERROR, TIMEOUT and
+ * INVALID_RESPONSE raised in the browser. Unknown codes get a generic message
+ * naming the stage that failed (the server's message is not shown), with retry
+ * offered if the error is retryable.
+ * Actions: 'retry', 'rerecord', 'download' (save the recording), 'contact' (SUPPORT_CONTACT).
+ */
+export const ANALYSIS_ERRORS = {
+  UNSUPPORTED_FILE_TYPE: {
+    message: 'This file type cannot be analysed. Record again or upload a WebM, MP4, MOV or M4A file.',
+    actions: ['rerecord']
+  },
+  INVALID_TRIM_RANGE: {
+    message: 'The trimmed range is not valid. Adjust the trim handles and try again.',
+    actions: ['retry']
+  },
+  AUDIO_EXTRACTION_FAILED: {
+    message: 'No audio could be read from this recording. It may be silent or damaged; please record it again.',
+    actions: ['rerecord', 'download']
+  },
+  TRANSCRIPTION_FAILED: {
+    message: 'Your speech could not be transcribed. This is usually temporary.',
+    actions: ['retry', 'download']
+  },
+  SCORING_FAILED: {
+    message: 'Your transcript could not be scored. This is usually temporary.',
+    actions: ['retry', 'download']
+  },
+  UPLOAD_NOT_FOUND: {
+    message: 'The upload expired before it was analysed. Trying again uploads it anew.',
+    actions: ['retry']
+  },
+  UPLOAD_INCOMPLETE: {
+    message: 'Part of the upload was lost.',
+    actions: ['retry', 'download']
+  },
+  INVALID_UPLOAD_CHUNK: {
+    message: 'The upload was corrupted on the way to the server.',
+    actions: ['retry', 'download']
+  },
+  MISSING_UPLOAD: {
+    message: 'The server did not receive the recording.',
+    actions: ['retry', 'contact']
+  },
+  SERVICE_MISCONFIGURED: {
+    message: 'The analysis service is not set up correctly, so it cannot analyse recordings right now.',
+    actions: ['download', 'contact']
+  },
+  NETWORK_ERROR: {
+    message: 'The connection to the analysis server was lost.',
+    actions: ['retry', 'download']
+  },
+  TIMEOUT: {
+    message: 'The analysis took too long and was stopped. The server may be busy.',
+    actions: ['retry', 'download']
+  },
+  INVALID_RESPONSE: {
+    message: 'The analysis server sent a response that could not be read.',
+    actions: ['retry', 'contact']
+  },
+  JOB_INTERRUPTED: {
+    message: 'The analysis server restarted before your analysis finished.',
+    actions: ['retry', 'download']
+  },
+  JOB_NOT_FOUND: {
+    message: 'The analysis server no longer has this analysis. It may have expired.',
+    actions: ['retry', 'download']
   }
 };
 
@@ -34,11 +178,281 @@ export const MEDIA_CONSTRAINTS = {
   }
 };
 
+/**
+ * Selectable recording resolutions for the device picker
+ * Values are used as "ideal" constraints, so the camera may pick the closest match
+ */
+export const RESOLUTIONS = {
+  '480p': { label: '480p (SD)', width: 640, height: 480 },
+  '720p': { label: '720p (HD)', width: 1280, height: 720 },
+  '1080p': { label: '1080p (Full HD)', width: 1920, height: 1080 }
+};
+
+/**
+ * Default device picker selection
+ * Empty device IDs mean "use the browser's default device"
+ */
+export const DEFAULT_DEVICE_PREFERENCES = {
+  videoDeviceId: '',
+  audioDeviceId: '',
+  resolution: '720p'
+};
+
+/**
+ * Microphone level monitoring settings
+ * Levels are RMS amplitudes in the 0-1 range reported by the AnalyserNode
+ */
+export const AUDIO_LEVEL = {
+  SAMPLE_INTERVAL_MS: 100,        // How often the input level is measured
+  SILENCE_THRESHOLD: 0.01,        // Below this level the input counts as silent
+  PREFLIGHT_SILENCE_MS: 3000,     // Silence before recording that triggers a warning
+  RECORDING_SILENCE_MS: 5000      // Silence during recording that triggers an alert and is reported
+};
+
+/**
+ * Practice modes with a target speech length
+ * targetSeconds of null means free practice with no time limit
+ */
+export const PRACTICE_MODES = [
+  { id: 'free', label: 'Free Practice', targetSeconds: null },
+  { id: 'intro', label: '30s Intro', targetSeconds: 30 },
+  { id: 'elevator-pitch', label: '60s Elevator Pitch', targetSeconds: 60 },
+  { id: 'interview-answer', label: '2 min Interview Answer', targetSeconds: 120 }
+];
+
+/**
+ * Timed practice settings
+ */
+export const PRACTICE_TIMING = {
+  COUNTDOWN_SECONDS: 3,   // 3-2-1 countdown before a timed recording starts
+  TOLERANCE: 0.1          // Within ±10% of the target counts as on target
+};
+
+/**
+ * Default interview question bank
+ * Can be replaced per deployment by pointing REACT_APP_QUESTION_BANK_URL
+ * at a JSON file with the same shape
+ */
+export const INTERVIEW_QUESTION_BANK = {
+  categories: [
+    {
+      id: 'general',
+      label: 'General',
+      questions: [
+        'Tell me about yourself.',
+        'Why are you interested in this role?',
+        'What are your greatest strengths?',
+        'What is one area you are working to improve?',
+        'Where do you see yourself in five years?'
+      ]
+    },
+    {
+      id: 'behavioral',
+      label: 'Behavioral',
+      questions: [
+        'Describe a time you disagreed with a teammate and how you resolved it.',
+        'Tell me about a project that did not go as planned. What did you learn?',
+        'Give an example of a time you had to meet a tight deadline.',
+        'Describe a situation where you took the lead without being asked.',
+        'Tell me about a time you received difficult feedback.'
+      ]
+    },
+    {
+      id: 'onboarding',
+      label: 'New Hire Onboarding',
+      questions: [
+        'Introduce yourself to your new team.',
+        'Explain what you will be working on in your first month.',
+        'Describe how you prefer to receive feedback.',
+        'Summarize a recent accomplishment you are proud of.'
+      ]
+    }
+  ]
+};
+
+/**
+ * Interview drill settings
+ */
+export const INTERVIEW_SETTINGS = {
+  DEFAULT_QUESTION_COUNT: 3,
+  QUESTION_COUNT_OPTIONS: [1, 3, 5]
+};
+
+/**
+ * Accepted formats for uploading an existing recording
+ * Maps file extensions to the MIME type sent to the backend, since some
+ * browsers report an empty type for .mov and .m4a files
+ */
+export const UPLOAD_SETTINGS = {
+  ACCEPTED_EXTENSIONS: {
+    webm: 'video/webm',
+    mp4: 'video/mp4',
+    mov: 'video/quicktime',
+    m4a: 'audio/mp4'
+  },
+  ACCEPTED_TYPES: ['video/webm', 'audio/webm', 'video/mp4', 'video/quicktime', 'audio/mp4', 'audio/x-m4a', 'audio/m4a'],
+  MAX_SIZE_BYTES: 200 * 1024 * 1024 // 200 MB
+};
+
+/**
+ * Presentation mode (screen share + webcam picture-in-picture) settings
+ */
+export const PRESENTATION_SETTINGS = {
+  FRAME_RATE: 30,            // Frame rate of the composited recording
+  INSET_WIDTH_RATIO: 0.22,   // Webcam inset width as a fraction of the canvas width
+  INSET_MARGIN: 24,          // Distance of the inset from the canvas edges in pixels
+  DEFAULT_WIDTH: 1280,       // Canvas size used until the shared screen reports its size
+  DEFAULT_HEIGHT: 720
+};
+
+/**
+ * Eye-contact model location
+ * Defaults to the Teachable Machine export bundled under public/models/eye-contact/;
+ * set REACT_APP_EYE_CONTACT_MODEL_URL (ending in "/") to load it from elsewhere.
+ */
+export const EYE_CONTACT_MODEL = {
+  URL: process.env.REACT_APP_EYE_CONTACT_MODEL_URL || `${process.env.PUBLIC_URL}/models/eye-contact/`,
+  CLASS_LABEL: 'Eye Contact', // Metadata label of the class meaning "looking at the camera"
+  DEFAULT_THRESHOLD: 0.5      // Probability above which a frame counts as eye contact (until calibrated)
+};
+
+/**
+ * Eye-contact inference settings
+ * Predictions run in a Web Worker on video frame callbacks. A frame is skipped
+ * while the previous prediction is still running, and the time between
+ * predictions follows the measured inference time so slower machines sample
+ * less often instead of falling behind.
+ */
+export const EYE_CONTACT_INFERENCE = {
+  TFJS_URL: `${process.env.PUBLIC_URL}/vendor/tf.min.js`, // Loaded into the worker; the same copy public/index.html loads
+  INPUT_SIZE: 224,           // Teachable Machine image models take 224x224 input
+  INITIAL_INTERVAL_MS: 300,  // Time between predictions before any have been measured
+  MIN_INTERVAL_MS: 150,
+  MAX_INTERVAL_MS: 1000,
+  LOAD_FACTOR: 3,            // Interval = inference time x this, so inference uses at most ~1/3 of the time
+  SMOOTHING: 0.3             // Weight of the newest measurement in the running average
+};
+
+/**
+ * Eye-contact analysis of uploaded and recovered videos
+ * The video plays muted in a hidden element faster than real time and frames
+ * are sampled like a live recording.
+ */
+export const OFFLINE_EYE_CONTACT = {
+  PLAYBACK_RATE: 3           // Higher rates finish sooner but sample fewer frames per second of video
+};
+
+/**
+ * Eye-contact calibration settings
+ * The user looks at the lens, then away, and a threshold is fitted between the two.
+ */
+export const EYE_CONTACT_CALIBRATION = {
+  SETTLE_MS: 1000,           // Time to move the gaze before sampling starts
+  PHASE_MS: 3000,            // Sampling time per phase
+  SAMPLE_INTERVAL_MS: 150,
+  MIN_THRESHOLD: 0.05,
+  MAX_THRESHOLD: 0.95,
+  MIN_ACCURACY: 0.75         // Below this the user is advised to recalibrate
+};
+
+/**
+ * Pose-estimation model (PoseNet) used for body-language analysis
+ * Weights are bundled under public/models/pose/ (see the README there); set
+ * REACT_APP_POSE_MODEL_URL to the model.json of another PoseNet MobileNetV1 0.75
+ * export to load them from elsewhere.
+ */
+export const POSE_MODEL = {
+  URL: process.env.REACT_APP_POSE_MODEL_URL || `${process.env.PUBLIC_URL}/models/pose/model-stride16.json`,
+  ARCHITECTURE: 'MobileNetV1',
+  OUTPUT_STRIDE: 16,
+  MULTIPLIER: 0.75,          // Must match the bundled weights
+  INPUT_RESOLUTION: 257,
+  SAMPLE_INTERVAL_MS: 250    // Time between pose estimates while recording
+};
+
+/**
+ * Body-language thresholds
+ * Distances are measured in shoulder widths so they do not depend on how far
+ * the speaker sits from the camera.
+ */
+export const BODY_LANGUAGE = {
+  MIN_KEYPOINT_SCORE: 0.5,   // Keypoints below this confidence are ignored
+  MAX_SHOULDER_TILT_DEG: 10, // Steeper shoulder lines count as leaning
+  MAX_HEAD_OFFSET: 0.35,     // Horizontal nose offset from the shoulder centre
+  MIN_HEAD_HEIGHT: 0.45,     // Nose height above the shoulder line; lower means slouching
+  GESTURE_SPEED: 1.2,        // Wrist speed (shoulder widths/s) that counts as a gesture
+  FIDGET_SPEED: 0.25,        // Head/wrist speed above this but below a gesture counts as fidgeting
+  IDEAL_GESTURES_PER_MINUTE: { MIN: 4, MAX: 15 },
+  MIN_INTERVAL_SECONDS: 1.5, // Shorter slouch/fidget periods are ignored on the timeline
+  MERGE_GAP_SECONDS: 0.75
+};
+
+/**
+ * Pre-recording framing and lighting check
+ * Brightness and contrast are 0-255 luminance values; face measurements are
+ * fractions of the frame size.
+ */
+export const FRAMING_CHECK = {
+  SAMPLE_COUNT: 5,
+  SAMPLE_INTERVAL_MS: 200,
+  ANALYSIS_WIDTH: 160,       // Frames are downscaled to this width before measuring
+  MIN_BRIGHTNESS: 70,
+  MAX_BRIGHTNESS: 200,
+  MIN_CONTRAST: 30,
+  BACKLIGHT_MARGIN: 35,      // Background this much brighter than the face counts as backlit
+  MAX_FACE_OFFSET: 0.2,      // Horizontal distance of the face from the frame centre
+  MIN_FACE_TOP: 0.15,        // Eyes higher than this leave too little headroom
+  MAX_FACE_TOP: 0.55,        // Eyes lower than this mean the camera is too high
+  MIN_FACE_WIDTH: 0.12,      // Ear-to-ear width; smaller means the camera is too far away
+  MAX_FACE_WIDTH: 0.45
+};
+
+/**
+ * Eye-contact timeline smoothing
+ * Predictions are noisy frame to frame, so look-aways are merged across brief
+ * glances back and very short ones are ignored.
+ */
+export const EYE_CONTACT_TIMELINE = {
+  MIN_LOOK_AWAY_SECONDS: 1,  // Shorter look-aways are treated as noise
+  MERGE_GAP_SECONDS: 0.7     // Look-aways separated by less than this are joined
+};
+
+/**
+ * Review screen trim settings
+ */
+export const TRIM_SETTINGS = {
+  STEP_SECONDS: 0.1,         // Precision of the in/out handles
+  MIN_LENGTH_SECONDS: 1      // Shortest range that can be kept
+};
+
+/**
+ * Crash-safe recording settings
+ * Chunks are written to IndexedDB as they are captured so an interrupted
+ * take can be recovered on the next visit.
+ */
+export const RECORDING_PERSISTENCE = {
+  DB_NAME: 'presense-recordings',
+  DB_VERSION: 2,             // 2 adds the per-chunk sample store
+  TIMESLICE_MS: 2000         // How often MediaRecorder hands over a chunk
+};
+
+/**
+ * Keys used to persist settings in localStorage
+ */
+export const STORAGE_KEYS = {
+  DEVICE_PREFERENCES: 'presense.devicePreferences',
+  EYE_CONTACT_CALIBRATION: 'presense.eyeContactCalibration',
+  ANALYSIS_JOBS: 'presense.analysisJobs',
+  UPLOAD_SESSIONS: 'presense.uploadSessions' // sessionStorage: upload id per recorded take
+};
+
 /**
  * Supported MIME types for video recording
  * Listed in order of preference
  */
 export const MIME_TYPES = {
   preferred: 'video/webm;codecs=vp9,opus', // Best quality and compression
-  fallback: 'video/webm'                   // Basic WebM format
+  fallback: 'video/webm',                  // Basic WebM format
+  audioPreferred: 'audio/webm;codecs=opus', // Audio-only mode
+  audioFallback: 'audio/webm'
 };
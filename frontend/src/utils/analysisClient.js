@@ -0,0 +1,71 @@
+/**
+ * Analysis Client
+ *
+ * The analysis functions the UI calls. They go to the backend (apiCall.js),
+ * or to the mock client (mockAnalysisClient.js) when ANALYSIS_CLIENT.MODE is
+ * 'mock'. Both implement the same interface, so callers do not need to know
+ * which one they got.
+ */
+
+import { ANALYSIS_CLIENT } from '../constants';
+import * as httpClient from './apiCall';
+import * as mockClient from './mockAnalysisClient';
+
+const CLIENTS = {
+  http: httpClient,
+  mock: mockClient
+};
+
+if (!CLIENTS[ANALYSIS_CLIENT.MODE]) {
+  console.warn(`Unknown analysis client "${ANALYSIS_CLIENT.MODE}", using the backend`);
+} else if (ANALYSIS_CLIENT.MODE === 'mock') {
+  console.info('Using the mock analysis client: results come from mockdata.json');
+}
+
+const client = CLIENTS[ANALYSIS_CLIENT.MODE] || CLIENTS.http;
+
+/**
+ * Uploads and analyzes a recording (see analyzeVideo in apiCall.js)
+ *
+ * @param {Blob|File} videoBlob - The recorded video blob or uploaded file to analyze
+ * @param {Object} [options] - Analysis options (trim, onUploadProgress, onStage, signal, ...)
+ * @returns {Promise<Object>} The complete speech analysis
+ *
+ * @example
+ * const result = await analyzeVideo(recordingBlob, { onStage: setAnalysisStage });
+ */
+export const analyzeVideo = (videoBlob, options) => client.analyzeVideo(videoBlob, options);
+
+/**
+ * Checks that the analysis service is reachable (see checkServiceHealth in apiCall.js)
+ *
+ * @param {Object} [options] - Probe options
+ * @returns {Promise<boolean>} True if analyses can be requested
+ */
+export const checkServiceHealth = (options) => client.checkServiceHealth(options);
+
+/**
+ * Uploads a recording and starts analyzing it in the background (see startAnalysisJob in apiCall.js)
+ *
+ * @param {Blob|File} videoBlob - The recorded video blob or uploaded file to analyze
+ * @param {Object} [options] - Upload options (trim, onUploadProgress, signal)
+ * @returns {Promise<string>} Id of the analysis job
+ */
+export const startAnalysisJob = (videoBlob, options) => client.startAnalysisJob(videoBlob, options);
+
+/**
+ * Fetches the status of an analysis job (see getAnalysisJob in apiCall.js)
+ *
+ * @param {string} jobId - Id from startAnalysisJob
+ * @param {Object} [options] - Request options (signal)
+ * @returns {Promise<Object>} Job status
+ */
+export const getAnalysisJob = (jobId, options) => client.getAnalysisJob(jobId, options);
+
+/**
+ * Cancels an analysis job (see cancelAnalysisJob in apiCall.js)
+ *
+ * @param {string} jobId - Id from startAnalysisJob
+ * @returns {Promise<void>}
+ */
+export const cancelAnalysisJob = (jobId) => client.cancelAnalysisJob(jobId);
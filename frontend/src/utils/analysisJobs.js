@@ -0,0 +1,163 @@
+/**
+ * Analysis Job Tracker
+ *
+ * Keeps the background analysis jobs started in this browser and polls them
+ * until they finish, whichever screen is open, so the user can leave the
+ * loading screen (or the recorder) while an analysis runs. Jobs are saved to
+ * localStorage and picked up again after a reload; the context a job was
+ * started from (the recording, local metrics) is only kept in memory.
+ */
+
+import { ANALYSIS_JOBS, STORAGE_KEYS } from '../constants';
+import { cancelAnalysisJob, getAnalysisJob } from './analysisClient';
+
+const jobs = new Map(); // Tracked jobs by id, in the order they were started
+const listeners = new Set();
+let pollTimer = null;
+let isPolling = false;
+
+const isActive = (job) => job.status === 'queued' || job.status === 'running';
+
+/**
+ * Saves the tracked jobs, without their in-memory context
+ */
+const saveJobs = () => {
+  try {
+    const saved = [...jobs.values()].map(({ context, ...job }) => job);
+    localStorage.setItem(STORAGE_KEYS.ANALYSIS_JOBS, JSON.stringify(saved));
+  } catch (err) {
+    console.warn('Failed to save analysis jobs:', err);
+  }
+};
+
+/**
+ * Restores the jobs saved before a reload; they all continue in the background
+ */
+const loadJobs = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.ANALYSIS_JOBS)) || [];
+    saved
+      .filter(job => Date.now() - job.createdAt < ANALYSIS_JOBS.MAX_AGE_MS)
+      .forEach(job => jobs.set(job.jobId, { ...job, context: null, inBackground: true }));
+  } catch (err) {
+    console.warn('Failed to load analysis jobs:', err);
+  }
+};
+
+/**
+ * Returns the tracked jobs, oldest first
+ *
+ * @returns {Array<Object>} Jobs: {jobId, label, status, stage, result, error, createdAt, inBackground, context}
+ */
+export const getAnalysisJobs = () => [...jobs.values()];
+
+const notify = () => {
+  saveJobs();
+  const snapshot = getAnalysisJobs();
+  listeners.forEach(listener => listener(snapshot));
+};
+
+const updateJob = (jobId, changes) => {
+  if (jobs.has(jobId)) {
+    jobs.set(jobId, { ...jobs.get(jobId), ...changes });
+  }
+};
+
+/**
+ * Fetches the status of every unfinished job, then schedules the next poll
+ */
+const poll = async () => {
+  pollTimer = null;
+  isPolling = true;
+  await Promise.all(getAnalysisJobs().filter(isActive).map(async (job) => {
+    try {
+      const { status, stage, result, error } = await getAnalysisJob(job.jobId);
+      updateJob(job.jobId, { status, stage, result, error });
+    } catch (err) {
+      if (err.retryable === false) {
+        // e.g. the server no longer knows the job
+        updateJob(job.jobId, {
+          status: 'failed',
+          error: { code: err.code, message: err.message, retryable: false, stage: job.stage }
+        });
+      } else {
+        console.warn(`Failed to poll analysis job ${job.jobId}, retrying:`, err);
+      }
+    }
+  }));
+  isPolling = false;
+  notify();
+  schedulePoll();
+};
+
+const schedulePoll = () => {
+  if (pollTimer === null && !isPolling && getAnalysisJobs().some(isActive)) {
+    pollTimer = setTimeout(poll, ANALYSIS_JOBS.POLL_INTERVAL_MS);
+  }
+};
+
+/**
+ * Starts tracking a job returned by startAnalysisJob
+ *
+ * @param {Object} job - Job to track
+ * @param {string} job.jobId - Id from startAnalysisJob
+ * @param {string} job.label - Names the recording in notifications
+ * @param {Object} [job.context] - Anything needed to show the result later (kept in memory only)
+ *
+ * @example
+ * trackAnalysisJob({ jobId, label: 'interview.mp4', context: { blob: recordingBlob } });
+ */
+export const trackAnalysisJob = ({ jobId, label, context = null }) => {
+  jobs.set(jobId, {
+    jobId,
+    label,
+    status: 'queued',
+    stage: 'received',
+    result: null,
+    error: null,
+    createdAt: Date.now(),
+    inBackground: false,
+    context
+  });
+  notify();
+  schedulePoll();
+};
+
+/**
+ * Lets a job finish in the background: a notification appears when it is done
+ *
+ * @param {string} jobId - Tracked job
+ */
+export const moveAnalysisJobToBackground = (jobId) => {
+  updateJob(jobId, { inBackground: true });
+  notify();
+};
+
+/**
+ * Stops tracking a job and deletes it from the server, cancelling it if it is still running
+ *
+ * @param {string} jobId - Tracked job
+ * @returns {Object|null} The job as it was last seen, or null if it was not tracked
+ */
+export const dismissAnalysisJob = (jobId) => {
+  const job = jobs.get(jobId) || null;
+  jobs.delete(jobId);
+  notify();
+  cancelAnalysisJob(jobId).catch(err => console.warn(`Failed to delete analysis job ${jobId}:`, err));
+  return job;
+};
+
+/**
+ * Calls listener with all tracked jobs now and whenever one changes
+ *
+ * @param {Function} listener - Called with the array from getAnalysisJobs
+ * @returns {Function} Unsubscribes
+ */
+export const subscribeToAnalysisJobs = (listener) => {
+  listeners.add(listener);
+  listener(getAnalysisJobs());
+  return () => listeners.delete(listener);
+};
+
+loadJobs();
+schedulePoll();
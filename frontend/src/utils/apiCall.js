@@ -1,36 +1,424 @@
-import { API_CONFIG } from '../constants';
+import { ANALYSIS_JOBS, API_CONFIG } from '../constants';
+import { forgetUpload, uploadInChunks } from './chunkedUpload';
 
 /**
- * Makes a POST request to upload and analyze a video file
- * 
- * @param {Blob} videoBlob - The recorded video blob to analyze
+ * Error from the analysis API
+ * Carries the fields of the server's error envelope, so the UI can offer a
+ * recovery action per code (see ANALYSIS_ERRORS) instead of parsing messages.
+ * Failures in the browser use the codes NETWORK_ERROR, TIMEOUT and INVALID_RESPONSE.
+ *
+ * @example
+ * try {
+ *   await analyzeVideo(blob);
+ * } catch (err) {
+ *   if (err instanceof ApiError && err.retryable) showRetryButton();
+ * }
+ */
+export class ApiError extends Error {
+  /**
+   * @param {Object} details - Error envelope fields
+   * @param {string} details.code - Stable error code, e.g. 'TRANSCRIPTION_FAILED'
+   * @param {string} details.message - Description (may be technical; not meant for users)
+   * @param {boolean} [details.retryable] - Whether sending the same request again may succeed
+   * @param {string|null} [details.stage] - Analysis stage it failed in (see ANALYSIS_STAGES)
+   * @param {number|null} [details.status] - HTTP status, if the server answered
+   */
+  constructor({ code, message, retryable = false, stage = null, status = null }) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.retryable = retryable;
+    this.stage = stage;
+    this.status = status;
+  }
+}
+
+/**
+ * Builds an ApiError from an error response
+ * Reads the {"error": {code, message, retryable, stage}} envelope, falling back
+ * to the status for servers (or proxies) that do not send one.
+ *
+ * @param {number} status - HTTP status
+ * @param {string} body - Response body
+ * @returns {ApiError} Error for the response
+ */
+const errorFromResponse = (status, body) => {
+  try {
+    const envelope = JSON.parse(body).error;
+    if (envelope?.code) {
+      return new ApiError({ ...envelope, status });
+    }
+  } catch (err) {
+    // Not JSON; use the status below
+  }
+  return new ApiError({
+    code: `HTTP_${status}`,
+    message: `API call failed: ${status} - ${body}`,
+    retryable: status >= 500 || status === 408 || status === 429,
+    status
+  });
+};
+
+/**
+ * Turns an error from the chunked upload into an ApiError; cancellation stays an AbortError
+ *
+ * @param {Error} error - Error thrown by uploadInChunks
+ * @returns {Error} ApiError, or the AbortError unchanged
+ */
+const uploadError = (error) => {
+  if (error.name === 'AbortError') {
+    return error;
+  }
+  const apiError = error.status
+    ? errorFromResponse(error.status, error.body || '')
+    : new ApiError({
+      code: error.name === 'TimeoutError' ? 'TIMEOUT' : 'NETWORK_ERROR',
+      message: error.message,
+      retryable: true
+    });
+  apiError.stage = apiError.stage || 'uploading';
+  return apiError;
+};
+
+/**
+ * Parses one Server-Sent Events block ("event: ...\ndata: ...")
+ *
+ * @param {string} block - Lines of one event, without the blank separator line
+ * @returns {{type: string, data: Object|null}} Event name and parsed JSON data
+ */
+const parseServerEvent = (block) => {
+  let type = 'message';
+  const dataLines = [];
+  block.split('\n').forEach(line => {
+    if (line.startsWith('event:')) {
+      type = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trim());
+    }
+  });
+  try {
+    return { type, data: dataLines.length > 0 ? JSON.parse(dataLines.join('\n')) : null };
+  } catch (err) {
+    return { type, data: null };
+  }
+};
+
+/**
+ * Uploads a video file in resumable chunks, then asks the server to analyze it
+ * Uses XMLHttpRequest for the analysis request so the streamed response can be
+ * read as it arrives. The server streams a stage event as each analysis stage
+ * starts, then the result; a failure names the stage it happened in
+ * (error.stage, see ANALYSIS_STAGES). If the analysis fails, calling this again
+ * with the same blob reuses the upload instead of sending the file again.
+ *
+ * @param {Blob|File} videoBlob - The recorded video blob or uploaded file to analyze
+ * @param {Object} [options] - Analysis options
+ * @param {{start: number, end: number}|null} [options.trim] - Only analyze this range (seconds)
+ * @param {Function} [options.onUploadProgress] - Called with the fraction of the file stored on the server (0-1)
+ * @param {Function} [options.onStage] - Called with the id of each stage as it starts
+ * @param {AbortSignal} [options.signal] - Cancels the request (rejects with an AbortError)
+ * @param {number} [options.stallTimeoutMs] - Gives up when the server sends nothing for this long (rejects with a TIMEOUT ApiError)
+ * @param {string|null} [options.resumeKey] - Lets the upload resume after a reload (see uploadInChunks)
  * @returns {Promise<Object>} - Promise that resolves to the complete speech analysis
+ * @throws {ApiError} If the upload or analysis fails (an AbortError if cancelled)
  */
-export async function analyzeVideo(videoBlob) {
+export async function analyzeVideo(videoBlob, {
+  trim = null,
+  onUploadProgress = null,
+  onStage = null,
+  signal = null,
+  stallTimeoutMs = API_CONFIG.STALL_TIMEOUT_MS,
+  resumeKey = null
+} = {}) {
   if (!videoBlob) {
     throw new Error('No video blob provided');
   }
 
+  let uploadId;
+  try {
+    uploadId = await uploadInChunks(videoBlob, {
+      onProgress: onUploadProgress || undefined,
+      signal,
+      resumeKey
+    });
+  } catch (err) {
+    throw uploadError(err);
+  }
+
   const formData = new FormData();
-  formData.append('file', videoBlob, 'recording.webm');
+  formData.append('upload_id', uploadId);
+  if (trim) {
+    formData.append('trim_start', trim.start.toFixed(3));
+    formData.append('trim_end', trim.end.toFixed(3));
+  }
 
   const apiUrl = `${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.ANALYZE}`;
 
-  const response = await fetch(apiUrl, {
-    method: 'POST',
-    body: formData,
-    headers: {
+  const result = await new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('Analysis cancelled', 'AbortError'));
+      return;
     }
-  });
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`API call failed: ${response.status} ${response.statusText} - ${errorText}`);
-  }
+    const xhr = new XMLHttpRequest();
+    let stage = 'received';
+    let streamedResult = null;
+    let streamedError = null;
+    let buffer = '';
+    let readLength = 0;
+    let stallTimer = null;
+    let stalled = false;
 
-  const result = await response.json();
+    const handleAbort = () => xhr.abort();
+    // Restarted whenever the server sends something, so only a stalled request times out
+    const watchForStall = () => {
+      clearTimeout(stallTimer);
+      stallTimer = setTimeout(() => {
+        stalled = true;
+        xhr.abort();
+      }, stallTimeoutMs);
+    };
+    const settle = (callback, value) => {
+      clearTimeout(stallTimer);
+      signal?.removeEventListener('abort', handleAbort);
+      if (value instanceof Error && !value.stage) {
+        value.stage = stage;
+      }
+      callback(value);
+    };
+
+    // Handles the stage events received since the last call
+    const readEvents = () => {
+      buffer += xhr.responseText.slice(readLength);
+      readLength = xhr.responseText.length;
+      const blocks = buffer.split('\n\n');
+      buffer = blocks.pop();
+      blocks.forEach(block => {
+        const { type, data } = parseServerEvent(block);
+        if (type === 'stage' && data?.stage) {
+          stage = data.stage;
+          if (onStage) onStage(stage);
+        } else if (type === 'result') {
+          streamedResult = data;
+        } else if (type === 'error') {
+          streamedError = data || {};
+        }
+      });
+    };
+    const isEventStream = () => (xhr.getResponseHeader('Content-Type') || '').includes('text/event-stream');
+
+    xhr.open('POST', apiUrl);
+    xhr.setRequestHeader('Accept', 'text/event-stream, application/json');
+    xhr.upload.onprogress = watchForStall;
+    xhr.onprogress = () => {
+      watchForStall();
+      if (xhr.status >= 200 && xhr.status < 300 && isEventStream()) {
+        readEvents();
+      }
+    };
+
+    xhr.onload = () => {
+      if (xhr.status < 200 || xhr.status >= 300) {
+        // The upload arrived but was rejected before any stage started
+        settle(reject, errorFromResponse(xhr.status, xhr.responseText));
+        return;
+      }
+      if (isEventStream()) {
+        readEvents();
+        if (streamedError) {
+          settle(reject, new ApiError({
+            code: streamedError.code || `HTTP_${streamedError.status_code || 500}`,
+            message: `API call failed during ${streamedError.stage || stage}: ${streamedError.message || streamedError.detail || 'unknown error'}`,
+            retryable: streamedError.retryable ?? true,
+            stage: streamedError.stage || stage,
+            status: streamedError.status_code || null
+          }));
+        } else if (streamedResult) {
+          settle(resolve, streamedResult);
+        } else {
+          settle(reject, new ApiError({
+            code: 'INVALID_RESPONSE',
+            message: 'API call failed: the analysis stream ended without a result',
+            retryable: true
+          }));
+        }
+        return;
+      }
+      // Servers without stage events answer with plain JSON
+      try {
+        settle(resolve, JSON.parse(xhr.responseText));
+      } catch (err) {
+        settle(reject, new ApiError({
+          code: 'INVALID_RESPONSE',
+          message: 'API call failed: the server returned an invalid response',
+          retryable: true
+        }));
+      }
+    };
+    xhr.onerror = () => settle(reject, new ApiError({
+      code: 'NETWORK_ERROR',
+      message: 'API call failed: could not reach the analysis server',
+      retryable: true
+    }));
+    xhr.onabort = () => settle(reject, stalled
+      ? new ApiError({
+        code: 'TIMEOUT',
+        message: `API call failed: the server sent nothing for ${Math.round(stallTimeoutMs / 60000)} minutes`,
+        retryable: true
+      })
+      : new DOMException('Analysis cancelled', 'AbortError'));
+
+    signal?.addEventListener('abort', handleAbort);
+    xhr.send(formData);
+    watchForStall();
+  });
+
+  // The server deletes an upload once it has been analysed
+  forgetUpload(videoBlob, resumeKey);
   console.log('✅ Speech analysis result:', result);
-  
+
   return result;
 }
 
+/**
+ * Sends a request to the API and returns its JSON body
+ * Failures become ApiErrors, except cancellation (an AbortError).
+ *
+ * @param {string} endpoint - Path below API_CONFIG.BASE_URL
+ * @param {Object} [options] - fetch options, plus timeoutMs
+ * @returns {Promise<Object|null>} Response body, or null if it is empty
+ */
+const requestApi = async (endpoint, { signal = null, timeoutMs = API_CONFIG.TIMEOUT_MS, ...options } = {}) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const handleAbort = () => controller.abort();
+  signal?.addEventListener('abort', handleAbort);
+  try {
+    const response = await fetch(`${API_CONFIG.BASE_URL}${endpoint}`, { ...options, signal: controller.signal });
+    const body = await response.text();
+    if (!response.ok) {
+      throw errorFromResponse(response.status, body);
+    }
+    return body ? JSON.parse(body) : null;
+  } catch (err) {
+    if (err instanceof ApiError || (err.name === 'AbortError' && signal?.aborted)) {
+      throw err;
+    }
+    if (err.name === 'AbortError') {
+      throw new ApiError({ code: 'TIMEOUT', message: `API call failed: no response from ${endpoint}`, retryable: true });
+    }
+    if (err instanceof SyntaxError) {
+      throw new ApiError({ code: 'INVALID_RESPONSE', message: 'API call failed: the server returned an invalid response', retryable: true });
+    }
+    throw new ApiError({ code: 'NETWORK_ERROR', message: 'API call failed: could not reach the analysis server', retryable: true });
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', handleAbort);
+  }
+};
+
+/**
+ * Uploads a video file in resumable chunks and starts analyzing it in the background
+ * Resolves as soon as the server has queued the analysis; follow it with
+ * getAnalysisJob. As with analyzeVideo, starting a job for the same blob again
+ * reuses its upload.
+ *
+ * @param {Blob|File} videoBlob - The recorded video blob or uploaded file to analyze
+ * @param {Object} [options] - Upload options
+ * @param {{start: number, end: number}|null} [options.trim] - Only analyze this range (seconds)
+ * @param {Function} [options.onUploadProgress] - Called with the fraction of the file stored on the server (0-1)
+ * @param {AbortSignal} [options.signal] - Cancels the upload (rejects with an AbortError)
+ * @param {string|null} [options.resumeKey] - Lets the upload resume after a reload (see uploadInChunks)
+ * @returns {Promise<string>} Id of the analysis job
+ * @throws {ApiError} If the upload fails or the server rejects the recording
+ *
+ * @example
+ * const jobId = await startAnalysisJob(recordingBlob, { onUploadProgress: setUploadProgress });
+ */
+export async function startAnalysisJob(videoBlob, { trim = null, onUploadProgress = null, signal = null, resumeKey = null } = {}) {
+  if (!videoBlob) {
+    throw new Error('No video blob provided');
+  }
+
+  let uploadId;
+  try {
+    uploadId = await uploadInChunks(videoBlob, {
+      onProgress: onUploadProgress || undefined,
+      signal,
+      resumeKey
+    });
+  } catch (err) {
+    throw uploadError(err);
+  }
+
+  const formData = new FormData();
+  formData.append('upload_id', uploadId);
+  if (trim) {
+    formData.append('trim_start', trim.start.toFixed(3));
+    formData.append('trim_end', trim.end.toFixed(3));
+  }
+  const job = await requestApi(API_CONFIG.ENDPOINTS.ANALYSIS_JOBS, { method: 'POST', body: formData, signal });
+  return job.job_id;
+}
+
+/**
+ * Fetches the status of an analysis job
+ *
+ * @param {string} jobId - Id from startAnalysisJob
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<{job_id: string, status: 'queued'|'running'|'succeeded'|'failed', stage: string, result: Object|null, error: Object|null}>}
+ *   Job status; `error` is the server's error envelope
+ * @throws {ApiError} If the status cannot be fetched (JOB_NOT_FOUND once the job has expired)
+ */
+export async function getAnalysisJob(jobId, { signal = null } = {}) {
+  return requestApi(`${API_CONFIG.ENDPOINTS.ANALYSIS_JOBS}/${jobId}`, {
+    signal,
+    timeoutMs: ANALYSIS_JOBS.REQUEST_TIMEOUT_MS
+  });
+}
+
+/**
+ * Cancels an analysis job, or deletes a finished one from the server
+ *
+ * @param {string} jobId - Id from startAnalysisJob
+ * @returns {Promise<void>}
+ */
+export async function cancelAnalysisJob(jobId) {
+  try {
+    await requestApi(`${API_CONFIG.ENDPOINTS.ANALYSIS_JOBS}/${jobId}`, {
+      method: 'DELETE',
+      timeoutMs: ANALYSIS_JOBS.REQUEST_TIMEOUT_MS
+    });
+  } catch (err) {
+    // Already gone is what we wanted
+    if (err.code !== 'JOB_NOT_FOUND') throw err;
+  }
+}
+
+/**
+ * Checks that the analysis service is reachable
+ * Probes both the server root and the API router, since a proxy or a
+ * half-started deployment can answer one but not the other.
+ *
+ * @param {Object} [options] - Probe options
+ * @param {number} [options.timeoutMs] - How long to wait for each endpoint
+ * @returns {Promise<boolean>} True if both endpoints answered with a 2xx status
+ */
+export async function checkServiceHealth({ timeoutMs = API_CONFIG.HEALTH_TIMEOUT_MS } = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const responses = await Promise.all(
+      [API_CONFIG.ENDPOINTS.HEALTH, API_CONFIG.ENDPOINTS.API_HEALTH].map(endpoint =>
+        fetch(`${API_CONFIG.BASE_URL}${endpoint}`, { signal: controller.signal })
+      )
+    );
+    return responses.every(response => response.ok);
+  } catch (err) {
+    console.warn('Analysis service health check failed:', err);
+    return false;
+  } finally {
+    clearTimeout(timer);
+  }
+}
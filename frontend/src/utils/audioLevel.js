@@ -0,0 +1,73 @@
+/**
+ * Audio Level Utilities
+ *
+ * Measures the live input level of a media stream with the Web Audio API
+ * so the recorder can show a level meter and detect a silent microphone.
+ */
+
+import { AUDIO_LEVEL } from '../constants';
+
+/**
+ * Computes the RMS amplitude of a time-domain sample buffer
+ *
+ * @param {Float32Array} samples - Samples in the -1..1 range
+ * @returns {number} RMS amplitude in the 0-1 range
+ */
+const computeRms = (samples) => {
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) {
+    sum += samples[i] * samples[i];
+  }
+  return Math.sqrt(sum / samples.length);
+};
+
+/**
+ * Starts measuring the audio level of a media stream
+ * Calls onLevel with the RMS level every AUDIO_LEVEL.SAMPLE_INTERVAL_MS.
+ * Samples are skipped while the AudioContext is suspended so a blocked
+ * context is not mistaken for a silent microphone.
+ *
+ * @param {MediaStream} stream - Stream containing an audio track
+ * @param {Function} onLevel - Callback receiving the level (0-1)
+ * @returns {{analyser: AnalyserNode, stop: Function}|null} Monitor handle (the analyser can also
+ *   drive a waveform display), or null if the stream has no audio or Web Audio is unavailable
+ *
+ * @example
+ * const monitor = createAudioLevelMonitor(stream, level => console.log(level));
+ * // later
+ * monitor.stop();
+ */
+export const createAudioLevelMonitor = (stream, onLevel) => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass || !stream || stream.getAudioTracks().length === 0) {
+    return null;
+  }
+
+  const context = new AudioContextClass();
+  const source = context.createMediaStreamSource(stream);
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 2048;
+  source.connect(analyser);
+
+  const samples = new Float32Array(analyser.fftSize);
+
+  // Contexts created without a recent user gesture may start suspended
+  if (context.state === 'suspended') {
+    context.resume().catch(err => console.warn('Could not resume AudioContext:', err));
+  }
+
+  const interval = setInterval(() => {
+    if (context.state !== 'running') return;
+    analyser.getFloatTimeDomainData(samples);
+    onLevel(computeRms(samples));
+  }, AUDIO_LEVEL.SAMPLE_INTERVAL_MS);
+
+  return {
+    analyser,
+    stop: () => {
+      clearInterval(interval);
+      source.disconnect();
+      context.close().catch(() => {});
+    }
+  };
+};
@@ -0,0 +1,209 @@
+/**
+ * Body Language Utilities
+ *
+ * Turns PoseNet estimates captured while recording into posture, head
+ * movement, gesture and fidgeting metrics for the Dashboard.
+ */
+
+import { BODY_LANGUAGE } from '../constants';
+
+const round = (value, decimals = 0) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+/**
+ * Runs PoseNet on the current video frame
+ * PoseNet sizes its input from the element's width/height attributes, which a
+ * CSS-sized video does not have, so the frame is copied to a canvas first.
+ *
+ * @param {Object} model - Loaded PoseNet model
+ * @param {HTMLVideoElement} video - Playing video
+ * @param {HTMLCanvasElement} canvas - Scratch canvas reused between calls
+ * @returns {Promise<Object>} PoseNet estimate
+ */
+export const estimatePose = async (model, video, canvas) => {
+  if (canvas.width !== video.videoWidth || canvas.height !== video.videoHeight) {
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+  }
+  canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+  return model.estimateSinglePose(canvas, { flipHorizontal: false });
+};
+
+/**
+ * Reduces a PoseNet pose to the features needed for body-language scoring
+ * Positions are divided by the shoulder width so movement is comparable
+ * regardless of how far the speaker sits from the camera.
+ *
+ * @param {{keypoints: Array<{part: string, score: number, position: {x: number, y: number}}>}} pose - PoseNet estimate
+ * @param {number} time - Recording time of the estimate in seconds
+ * @returns {Object} Frame features, or { time, visible: false } if the upper body was not found
+ *
+ * @example
+ * const frame = extractPoseFrame(await estimatePose(net, video, canvas), 12.5);
+ */
+export const extractPoseFrame = (pose, time) => {
+  const points = {};
+  (pose?.keypoints || []).forEach(keypoint => {
+    if (keypoint.score >= BODY_LANGUAGE.MIN_KEYPOINT_SCORE) {
+      points[keypoint.part] = keypoint.position;
+    }
+  });
+
+  const { nose, leftShoulder, rightShoulder } = points;
+  const shoulderWidth = leftShoulder && rightShoulder ? distance(leftShoulder, rightShoulder) : 0;
+  if (!nose || shoulderWidth <= 0) {
+    return { time, visible: false };
+  }
+
+  const angle = Math.abs(Math.atan2(rightShoulder.y - leftShoulder.y, rightShoulder.x - leftShoulder.x) * 180 / Math.PI);
+  const centre = { x: (leftShoulder.x + rightShoulder.x) / 2, y: (leftShoulder.y + rightShoulder.y) / 2 };
+  const normalise = (point) => point ? { x: round(point.x / shoulderWidth, 3), y: round(point.y / shoulderWidth, 3) } : null;
+
+  return {
+    time,
+    visible: true,
+    shoulderTilt: round(Math.min(angle, 180 - angle), 1),
+    headOffset: round((nose.x - centre.x) / shoulderWidth, 3),
+    headHeight: round((centre.y - nose.y) / shoulderWidth, 3),
+    nose: normalise(nose),
+    wrists: [normalise(points.leftWrist), normalise(points.rightWrist)]
+  };
+};
+
+/**
+ * Groups consecutive flagged frames into intervals
+ * Intervals separated by a short gap are merged and short ones dropped.
+ *
+ * @param {Array<{time: number, active: boolean}>} flags - Per-frame flags in time order
+ * @returns {Array<{start: number, end: number}>} Intervals in seconds
+ */
+const findIntervals = (flags) => {
+  const intervals = [];
+  let start = null;
+  flags.forEach(flag => {
+    if (flag.active && start === null) {
+      start = flag.time;
+    } else if (!flag.active && start !== null) {
+      intervals.push({ start, end: flag.time });
+      start = null;
+    }
+  });
+  if (start !== null && flags.length > 0) {
+    intervals.push({ start, end: flags[flags.length - 1].time });
+  }
+
+  const merged = [];
+  intervals.forEach(interval => {
+    const previous = merged[merged.length - 1];
+    if (previous && interval.start - previous.end < BODY_LANGUAGE.MERGE_GAP_SECONDS) {
+      previous.end = interval.end;
+    } else {
+      merged.push({ ...interval });
+    }
+  });
+  return merged.filter(interval => interval.end - interval.start >= BODY_LANGUAGE.MIN_INTERVAL_SECONDS);
+};
+
+/**
+ * Scores the gesture rate: full marks inside the ideal range, less for
+ * speakers who barely move their hands or gesture constantly
+ *
+ * @param {number} gesturesPerMinute - Gesture rate
+ * @returns {number} Score (0-100)
+ */
+const scoreGestureRate = (gesturesPerMinute) => {
+  const { MIN, MAX } = BODY_LANGUAGE.IDEAL_GESTURES_PER_MINUTE;
+  if (gesturesPerMinute < MIN) {
+    return 50 + 50 * (gesturesPerMinute / MIN);
+  }
+  if (gesturesPerMinute > MAX) {
+    return Math.max(40, 100 - (gesturesPerMinute - MAX) * 5);
+  }
+  return 100;
+};
+
+/**
+ * Summarises pose frames into body-language metrics
+ * The overall score weighs posture at 50%, calm (absence of fidgeting) at 25%
+ * and gesture rate at 25%.
+ *
+ * @param {Array<Object>} frames - Frames from extractPoseFrame, in time order
+ * @returns {Object|null} Metrics and timeline intervals, or null if the speaker was rarely visible
+ *
+ * @example
+ * summarizeBodyLanguage(frames);
+ * // { score: 78, postureScore: 85, headMovement: 0.18, gesturesPerMinute: 6.2,
+ * //   fidgetingPercentage: 12, slouches: [...], fidgets: [...], gestures: [...], framesAnalysed: 240 }
+ */
+export const summarizeBodyLanguage = (frames) => {
+  const visible = (frames || []).filter(frame => frame.visible);
+  if (visible.length < 2) {
+    return null;
+  }
+
+  const postureFlags = [];
+  const fidgetFlags = [];
+  const gestures = [];
+  let uprightFrames = 0;
+  let headSpeedTotal = 0;
+  let motionFrames = 0;
+  let fidgetFrames = 0;
+  let wasGesturing = false;
+
+  visible.forEach((frame, index) => {
+    const upright = frame.shoulderTilt <= BODY_LANGUAGE.MAX_SHOULDER_TILT_DEG &&
+      Math.abs(frame.headOffset) <= BODY_LANGUAGE.MAX_HEAD_OFFSET &&
+      frame.headHeight >= BODY_LANGUAGE.MIN_HEAD_HEIGHT;
+    if (upright) uprightFrames += 1;
+    postureFlags.push({ time: frame.time, active: !upright });
+
+    // Movement needs the previous frame; skip gaps where the speaker left the frame
+    const previous = visible[index - 1];
+    const elapsed = previous ? frame.time - previous.time : 0;
+    if (!previous || elapsed <= 0 || elapsed > 1.5) {
+      fidgetFlags.push({ time: frame.time, active: false });
+      wasGesturing = false;
+      return;
+    }
+
+    const headSpeed = distance(frame.nose, previous.nose) / elapsed;
+    const wristSpeed = Math.max(0, ...frame.wrists.map((wrist, i) => (
+      wrist && previous.wrists[i] ? distance(wrist, previous.wrists[i]) / elapsed : 0
+    )));
+    const isGesturing = wristSpeed >= BODY_LANGUAGE.GESTURE_SPEED;
+    const isFidgeting = !isGesturing &&
+      (headSpeed >= BODY_LANGUAGE.FIDGET_SPEED || wristSpeed >= BODY_LANGUAGE.FIDGET_SPEED);
+
+    motionFrames += 1;
+    headSpeedTotal += headSpeed;
+    if (isFidgeting) fidgetFrames += 1;
+    if (isGesturing && !wasGesturing) gestures.push(frame.time);
+    wasGesturing = isGesturing;
+    fidgetFlags.push({ time: frame.time, active: isFidgeting });
+  });
+
+  const minutes = (visible[visible.length - 1].time - visible[0].time) / 60;
+  const postureScore = Math.round((uprightFrames / visible.length) * 100);
+  const fidgetingPercentage = motionFrames > 0 ? Math.round((fidgetFrames / motionFrames) * 100) : 0;
+  const gesturesPerMinute = minutes > 0 ? round(gestures.length / minutes, 1) : 0;
+
+  return {
+    score: Math.round(
+      postureScore * 0.5 +
+      Math.max(0, 100 - fidgetingPercentage * 2) * 0.25 +
+      scoreGestureRate(gesturesPerMinute) * 0.25
+    ),
+    postureScore,
+    headMovement: motionFrames > 0 ? round(headSpeedTotal / motionFrames, 2) : 0,
+    gesturesPerMinute,
+    fidgetingPercentage,
+    slouches: findIntervals(postureFlags),
+    fidgets: findIntervals(fidgetFlags),
+    gestures,
+    framesAnalysed: visible.length
+  };
+};
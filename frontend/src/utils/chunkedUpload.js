@@ -0,0 +1,275 @@
+/**
+ * Chunked Upload Utilities
+ *
+ * Sends a recording to the backend in chunks within an upload session, so a
+ * dropped connection only costs the chunk in flight. Failed chunks are retried
+ * with backoff, and uploading the same blob again (e.g. retrying a failed
+ * analysis) resumes the session instead of starting over. Given a resume key,
+ * the session id is also kept in sessionStorage, so a take recovered after a
+ * reload resumes its upload too.
+ */
+
+import { API_CONFIG, CHUNKED_UPLOAD, STORAGE_KEYS } from '../constants';
+
+// Upload session id per blob, so a retry resumes where the last attempt stopped
+const uploadSessions = new WeakMap();
+
+/**
+ * Reads the upload ids saved by resume key
+ */
+const loadSavedSessions = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(STORAGE_KEYS.UPLOAD_SESSIONS)) || {};
+  } catch (err) {
+    console.warn('Failed to load upload sessions:', err);
+    return {};
+  }
+};
+
+/**
+ * Saves (or with a null id, forgets) the upload id of a resume key
+ */
+const saveSessionId = (resumeKey, uploadId) => {
+  try {
+    const { [resumeKey]: previous, ...saved } = loadSavedSessions();
+    const sessions = uploadId ? { ...saved, [resumeKey]: uploadId } : saved;
+    sessionStorage.setItem(STORAGE_KEYS.UPLOAD_SESSIONS, JSON.stringify(sessions));
+  } catch (err) {
+    console.warn('Failed to save upload sessions:', err);
+  }
+};
+
+/**
+ * Resolves after a delay, or rejects as soon as the signal aborts
+ */
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', handleAbort);
+    resolve();
+  }, ms);
+  const handleAbort = () => {
+    clearTimeout(timer);
+    reject(new DOMException('Upload cancelled', 'AbortError'));
+  };
+  signal?.addEventListener('abort', handleAbort, { once: true });
+});
+
+/**
+ * Resolves once the browser reports a network connection
+ */
+const waitForOnline = (signal) => new Promise((resolve, reject) => {
+  if (navigator.onLine) {
+    resolve();
+    return;
+  }
+  const handleOnline = () => {
+    signal?.removeEventListener('abort', handleAbort);
+    resolve();
+  };
+  const handleAbort = () => {
+    window.removeEventListener('online', handleOnline);
+    reject(new DOMException('Upload cancelled', 'AbortError'));
+  };
+  window.addEventListener('online', handleOnline, { once: true });
+  signal?.addEventListener('abort', handleAbort, { once: true });
+});
+
+/**
+ * Builds the error for a rejected request, keeping the status and response body
+ */
+const responseError = (status, statusText, body) => {
+  const error = new Error(`Upload failed: ${status} ${statusText} - ${body}`);
+  error.status = status;
+  error.body = body;
+  return error;
+};
+
+/**
+ * Builds the error for a request that got no answer within REQUEST_TIMEOUT_MS
+ */
+const timeoutError = () => {
+  const error = new Error('Upload failed: the server stopped responding');
+  error.name = 'TimeoutError';
+  return error;
+};
+
+/**
+ * Fetches JSON with a timeout; non-2xx responses throw an error with the
+ * status and response body, and a timeout throws a TimeoutError
+ */
+const requestJson = async (url, options, signal) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), CHUNKED_UPLOAD.REQUEST_TIMEOUT_MS);
+  const handleAbort = () => controller.abort();
+  signal?.addEventListener('abort', handleAbort);
+  try {
+    const response = await fetch(url, { ...options, signal: controller.signal });
+    if (!response.ok) {
+      throw responseError(response.status, response.statusText, await response.text());
+    }
+    return response.json();
+  } catch (err) {
+    // Aborted by the timer rather than the caller
+    if (err.name === 'AbortError' && !signal?.aborted) {
+      throw timeoutError();
+    }
+    throw err;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', handleAbort);
+  }
+};
+
+/**
+ * PUTs one chunk and resolves with the session status
+ * Uses XMLHttpRequest because fetch cannot report upload progress; errors
+ * match requestJson's.
+ *
+ * @param {Function} onChunkProgress - Called with the bytes of this chunk sent so far
+ */
+const sendChunk = (url, chunk, onChunkProgress, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new DOMException('Upload cancelled', 'AbortError'));
+    return;
+  }
+
+  const xhr = new XMLHttpRequest();
+  const handleAbort = () => xhr.abort();
+  const settle = (callback, value) => {
+    signal?.removeEventListener('abort', handleAbort);
+    callback(value);
+  };
+
+  xhr.open('PUT', url);
+  xhr.setRequestHeader('Content-Type', 'application/octet-stream');
+  xhr.timeout = CHUNKED_UPLOAD.REQUEST_TIMEOUT_MS;
+  xhr.upload.onprogress = (event) => onChunkProgress(event.loaded);
+  xhr.onload = () => {
+    if (xhr.status < 200 || xhr.status >= 300) {
+      settle(reject, responseError(xhr.status, xhr.statusText, xhr.responseText));
+      return;
+    }
+    try {
+      settle(resolve, JSON.parse(xhr.responseText));
+    } catch (err) {
+      settle(reject, err);
+    }
+  };
+  xhr.onerror = () => settle(reject, new TypeError('Upload failed: could not reach the server'));
+  xhr.onabort = () => settle(reject, new DOMException('Upload cancelled', 'AbortError'));
+  xhr.ontimeout = () => settle(reject, timeoutError());
+
+  signal?.addEventListener('abort', handleAbort);
+  xhr.send(chunk);
+});
+
+/**
+ * Runs a request, retrying network errors, timeouts and server errors with
+ * exponential backoff. Client errors (bad request, unknown session) are not retried.
+ */
+const withRetry = async (request, signal) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request();
+    } catch (err) {
+      const isClientError = err.status >= 400 && err.status < 500 && err.status !== 408 && err.status !== 429;
+      if (signal?.aborted || isClientError || attempt >= CHUNKED_UPLOAD.MAX_RETRIES) {
+        throw err;
+      }
+      const delay = Math.min(CHUNKED_UPLOAD.BACKOFF_BASE_MS * 2 ** attempt, CHUNKED_UPLOAD.BACKOFF_MAX_MS);
+      console.warn(`Upload request failed, retrying in ${delay}ms:`, err);
+      await waitForOnline(signal);
+      await wait(delay, signal);
+    }
+  }
+};
+
+/**
+ * Opens an upload session for a blob, or resumes the one from an earlier attempt
+ *
+ * @returns {Promise<{upload_id: string, chunk_size: number, chunk_count: number, received: number[]}>} Session status
+ */
+const openSession = async (blob, baseUrl, signal, resumeKey) => {
+  const knownId = uploadSessions.get(blob) || (resumeKey && loadSavedSessions()[resumeKey]);
+  if (knownId) {
+    try {
+      const session = await withRetry(() => requestJson(`${baseUrl}/${knownId}`, {}, signal), signal);
+      // A recovered take can be shorter than the one uploaded before the reload
+      if (session.size === blob.size) {
+        uploadSessions.set(blob, knownId);
+        return session;
+      }
+    } catch (err) {
+      // Expired or already analysed: start a new session
+      if (err.status !== 404) throw err;
+    }
+  }
+
+  const formData = new FormData();
+  formData.append('filename', blob.name || 'recording.webm');
+  formData.append('content_type', blob.type || 'video/webm');
+  formData.append('size', String(blob.size));
+  const session = await withRetry(() => requestJson(baseUrl, { method: 'POST', body: formData }, signal), signal);
+  uploadSessions.set(blob, session.upload_id);
+  if (resumeKey) {
+    saveSessionId(resumeKey, session.upload_id);
+  }
+  return session;
+};
+
+/**
+ * Uploads a blob in chunks and returns the upload id to analyze it by
+ *
+ * @param {Blob|File} blob - Recording or uploaded file
+ * @param {Object} [options] - Upload options
+ * @param {Function} [options.onProgress] - Called with the fraction of the file sent so far (0-1), also while a chunk is in flight
+ * @param {AbortSignal} [options.signal] - Cancels the upload (rejects with an AbortError)
+ * @param {string|null} [options.resumeKey] - Identifies the recording across reloads (e.g. its take), so the upload can resume after one
+ * @returns {Promise<string>} Upload id of the completed upload
+ *
+ * @example
+ * const uploadId = await uploadInChunks(recordingBlob, { onProgress: setUploadProgress });
+ */
+export const uploadInChunks = async (blob, { onProgress = () => {}, signal = null, resumeKey = null } = {}) => {
+  const baseUrl = `${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.UPLOADS}`;
+  const session = await openSession(blob, baseUrl, signal, resumeKey);
+  const { upload_id: uploadId, chunk_size: chunkSize, chunk_count: chunkCount } = session;
+
+  const received = new Set(session.received);
+  const chunkRange = (index) => [index * chunkSize, Math.min((index + 1) * chunkSize, blob.size)];
+  let storedBytes = [...received].reduce((total, index) => {
+    const [start, end] = chunkRange(index);
+    return total + (end - start);
+  }, 0);
+  onProgress(storedBytes / blob.size);
+
+  for (let index = 0; index < chunkCount; index++) {
+    if (received.has(index)) continue;
+    const [start, end] = chunkRange(index);
+    const chunk = blob.slice(start, end);
+    const storedBefore = storedBytes;
+    await withRetry(() => sendChunk(
+      `${baseUrl}/${uploadId}/chunks/${index}`,
+      chunk,
+      (sentBytes) => onProgress((storedBefore + Math.min(sentBytes, end - start)) / blob.size),
+      signal
+    ), signal);
+    storedBytes += end - start;
+    onProgress(storedBytes / blob.size);
+  }
+
+  return uploadId;
+};
+
+/**
+ * Forgets the upload session of a blob once the server has analysed (and deleted) it
+ *
+ * @param {Blob|File} blob - Uploaded blob
+ * @param {string|null} [resumeKey] - Resume key the blob was uploaded with
+ */
+export const forgetUpload = (blob, resumeKey = null) => {
+  uploadSessions.delete(blob);
+  if (resumeKey) {
+    saveSessionId(resumeKey, null);
+  }
+};
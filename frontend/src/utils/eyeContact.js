@@ -0,0 +1,186 @@
+/**
+ * Eye Contact Utilities
+ *
+ * Reads the eye-contact class from model predictions, calibrates a per-user
+ * threshold, and turns the per-frame predictions captured while recording
+ * into look-away intervals for the Dashboard timeline.
+ */
+
+import { EYE_CONTACT_CALIBRATION, EYE_CONTACT_MODEL, EYE_CONTACT_TIMELINE, STORAGE_KEYS } from '../constants';
+
+/**
+ * Normalizes a class label for comparison ("Eye contact" == "eye_contact")
+ *
+ * @param {string} label - Class label from the model metadata
+ * @returns {string} Lowercase label without separators
+ */
+const normalizeLabel = (label) => String(label).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Checks whether a model's classes include the eye-contact label
+ *
+ * @param {string[]} classLabels - Labels from the model metadata
+ * @param {string} [label] - Label to look for
+ * @returns {boolean} True if the class exists
+ */
+export const hasEyeContactClass = (classLabels, label = EYE_CONTACT_MODEL.CLASS_LABEL) => {
+  return classLabels.some(classLabel => normalizeLabel(classLabel) === normalizeLabel(label));
+};
+
+/**
+ * Reads the eye-contact probability from a set of predictions by class label
+ * rather than position, so retrained models with a different class order work.
+ *
+ * @param {Array<{className: string, probability: number}>} predictions - Output of model.predict
+ * @param {string} [label] - Label of the eye-contact class
+ * @returns {number|null} Probability (0-1), or null if the class is missing
+ *
+ * @example
+ * getEyeContactProbability([{ className: 'Looking Away', probability: 0.2 }, { className: 'Eye Contact', probability: 0.8 }]); // 0.8
+ */
+export const getEyeContactProbability = (predictions, label = EYE_CONTACT_MODEL.CLASS_LABEL) => {
+  const match = predictions.find(prediction => normalizeLabel(prediction.className) === normalizeLabel(label));
+  return match ? match.probability : null;
+};
+
+/**
+ * Collects eye-contact probabilities from a video for a fixed time
+ *
+ * @param {Object} model - Loaded eye-contact model (see createEyeContactModel)
+ * @param {HTMLVideoElement} video - Webcam video element
+ * @param {number} durationMs - How long to sample for
+ * @param {number} [intervalMs] - Time between predictions
+ * @returns {Promise<number[]>} Probabilities collected during the period
+ */
+export const sampleEyeContactProbabilities = async (model, video, durationMs, intervalMs = EYE_CONTACT_CALIBRATION.SAMPLE_INTERVAL_MS) => {
+  const probabilities = [];
+  const endsAt = Date.now() + durationMs;
+  while (Date.now() < endsAt) {
+    const probability = getEyeContactProbability(await model.predict(video));
+    if (probability !== null) {
+      probabilities.push(probability);
+    }
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+  return probabilities;
+};
+
+/**
+ * Fits the threshold that best separates "looking at the lens" from "looking away"
+ * Tries the midpoints between all observed probabilities and keeps the one with
+ * the highest balanced accuracy (mean of the per-phase hit rates).
+ *
+ * @param {number[]} lookingAt - Probabilities while looking at the lens
+ * @param {number[]} lookingAway - Probabilities while looking away
+ * @returns {{threshold: number, accuracy: number}|null} Fitted threshold, or null without samples
+ *
+ * @example
+ * fitEyeContactThreshold([0.4, 0.5, 0.45], [0.1, 0.2]); // { threshold: 0.3, accuracy: 1 }
+ */
+export const fitEyeContactThreshold = (lookingAt, lookingAway) => {
+  if (lookingAt.length === 0 || lookingAway.length === 0) {
+    return null;
+  }
+
+  const values = [...lookingAt, ...lookingAway].sort((a, b) => a - b);
+  const candidates = values.slice(1).map((value, index) => (value + values[index]) / 2);
+
+  let best = { threshold: EYE_CONTACT_MODEL.DEFAULT_THRESHOLD, accuracy: -1 };
+  candidates.forEach(candidate => {
+    const threshold = Math.min(Math.max(candidate, EYE_CONTACT_CALIBRATION.MIN_THRESHOLD), EYE_CONTACT_CALIBRATION.MAX_THRESHOLD);
+    const hits = lookingAt.filter(probability => probability >= threshold).length / lookingAt.length;
+    const rejections = lookingAway.filter(probability => probability < threshold).length / lookingAway.length;
+    const accuracy = (hits + rejections) / 2;
+    if (accuracy > best.accuracy) {
+      best = { threshold, accuracy };
+    }
+  });
+
+  return {
+    threshold: Math.round(best.threshold * 1000) / 1000,
+    accuracy: Math.round(Math.max(best.accuracy, 0) * 100) / 100
+  };
+};
+
+/**
+ * Loads the saved calibration for a model from localStorage
+ *
+ * @param {string} [modelUrl] - Calibrations only apply to the model they were made with
+ * @returns {{threshold: number, accuracy: number, calibratedAt: number, modelUrl: string}|null} Saved calibration
+ */
+export const loadEyeContactCalibration = (modelUrl = EYE_CONTACT_MODEL.URL) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.EYE_CONTACT_CALIBRATION));
+    return saved && saved.modelUrl === modelUrl && typeof saved.threshold === 'number' ? saved : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Saves a calibration to localStorage, or removes it when null
+ *
+ * @param {Object|null} calibration - Calibration to persist
+ */
+export const saveEyeContactCalibration = (calibration) => {
+  try {
+    if (calibration) {
+      localStorage.setItem(STORAGE_KEYS.EYE_CONTACT_CALIBRATION, JSON.stringify(calibration));
+    } else {
+      localStorage.removeItem(STORAGE_KEYS.EYE_CONTACT_CALIBRATION);
+    }
+  } catch (err) {
+    console.warn('Could not save eye-contact calibration:', err);
+  }
+};
+
+/**
+ * Smooths timestamped eye-contact samples into look-away intervals
+ * A look-away runs from the first frame without eye contact to the next frame
+ * with it. Look-aways separated by a short glance back are merged, then those
+ * still shorter than the minimum are dropped.
+ *
+ * @param {Array<{time: number, eyeContact: boolean}>} samples - Predictions in recording order (seconds)
+ * @param {Object} [settings] - Smoothing settings (defaults to EYE_CONTACT_TIMELINE)
+ * @returns {Array<{start: number, end: number}>} Look-away intervals in seconds
+ *
+ * @example
+ * computeLookAwayIntervals([
+ *   { time: 0, eyeContact: true },
+ *   { time: 1, eyeContact: false },
+ *   { time: 3, eyeContact: true }
+ * ]); // [{ start: 1, end: 3 }]
+ */
+export const computeLookAwayIntervals = (samples, settings = EYE_CONTACT_TIMELINE) => {
+  if (!samples || samples.length === 0) {
+    return [];
+  }
+
+  // Raw runs of frames without eye contact
+  const runs = [];
+  let runStart = null;
+  samples.forEach(sample => {
+    if (!sample.eyeContact && runStart === null) {
+      runStart = sample.time;
+    } else if (sample.eyeContact && runStart !== null) {
+      runs.push({ start: runStart, end: sample.time });
+      runStart = null;
+    }
+  });
+  if (runStart !== null) {
+    runs.push({ start: runStart, end: samples[samples.length - 1].time });
+  }
+
+  // Join runs split by a brief glance back at the camera
+  const merged = [];
+  runs.forEach(run => {
+    const previous = merged[merged.length - 1];
+    if (previous && run.start - previous.end < settings.MERGE_GAP_SECONDS) {
+      previous.end = run.end;
+    } else {
+      merged.push({ ...run });
+    }
+  });
+
+  return merged.filter(interval => interval.end - interval.start >= settings.MIN_LOOK_AWAY_SECONDS);
+};
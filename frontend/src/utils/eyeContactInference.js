@@ -0,0 +1,294 @@
+/**
+ * Eye Contact Inference Utilities
+ *
+ * Loads the eye-contact model into a Web Worker so predictions do not block
+ * the recording timer and UI, and schedules predictions on video frame
+ * callbacks with back-pressure and an adaptive sampling rate. Also analyses
+ * videos that were not captured live (uploads, recovered recordings).
+ */
+
+import { EYE_CONTACT_INFERENCE, EYE_CONTACT_MODEL, OFFLINE_EYE_CONTACT } from '../constants';
+import { computeLookAwayIntervals, getEyeContactProbability } from './eyeContact';
+
+/**
+ * Checks whether frames can be classified in a worker
+ *
+ * @returns {boolean} True if Worker, OffscreenCanvas and createImageBitmap are available
+ */
+export const isWorkerInferenceSupported = () => {
+  return typeof Worker !== 'undefined' &&
+    typeof OffscreenCanvas !== 'undefined' &&
+    typeof createImageBitmap === 'function';
+};
+
+/**
+ * Starts the eye-contact worker and loads the model into it
+ *
+ * @param {string} modelUrl - Folder containing model.json and metadata.json
+ * @returns {Promise<Object>} Model wrapper (see createEyeContactModel)
+ */
+const createWorkerModel = (modelUrl) => new Promise((resolve, reject) => {
+  const worker = new Worker(new URL('../workers/eyeContactWorker.js', import.meta.url));
+  const pending = new Map();
+  let nextId = 0;
+  let labels = [];
+
+  const rejectAll = (error) => {
+    pending.forEach(({ reject: rejectRequest }) => rejectRequest(error));
+    pending.clear();
+  };
+
+  const model = {
+    runsInWorker: true,
+    getClassLabels: () => labels,
+    predict: async (video) => {
+      // The frame is copied once here and its pixels transferred, not cloned
+      const bitmap = await createImageBitmap(video);
+      const id = nextId++;
+      return new Promise((resolveRequest, rejectRequest) => {
+        pending.set(id, { resolve: resolveRequest, reject: rejectRequest });
+        worker.postMessage({ type: 'predict', id, bitmap }, [bitmap]);
+      });
+    },
+    dispose: () => {
+      worker.terminate();
+      rejectAll(new Error('Eye contact worker stopped'));
+    }
+  };
+
+  worker.onmessage = (event) => {
+    const { type, id, message } = event.data;
+    if (type === 'loaded') {
+      labels = event.data.labels;
+      resolve(model);
+    } else if (type === 'prediction' && pending.has(id)) {
+      pending.get(id).resolve(event.data.predictions);
+      pending.delete(id);
+    } else if (type === 'error') {
+      if (pending.has(id)) {
+        pending.get(id).reject(new Error(message));
+        pending.delete(id);
+      } else {
+        worker.terminate();
+        reject(new Error(message));
+      }
+    }
+  };
+  worker.onerror = (event) => {
+    const error = new Error(event.message || 'Eye contact worker failed');
+    rejectAll(error);
+    reject(error);
+  };
+
+  worker.postMessage({
+    type: 'load',
+    modelUrl,
+    tfjsUrl: EYE_CONTACT_INFERENCE.TFJS_URL,
+    inputSize: EYE_CONTACT_INFERENCE.INPUT_SIZE
+  });
+});
+
+/**
+ * Loads the Teachable Machine model on the main thread (fallback)
+ *
+ * @param {string} modelUrl - Folder containing model.json and metadata.json
+ * @returns {Promise<Object>} Model wrapper (see createEyeContactModel)
+ */
+const createMainThreadModel = async (modelUrl) => {
+  if (!window.tmImage) {
+    throw new Error('The eye-contact library could not be loaded.');
+  }
+  const model = await window.tmImage.load(`${modelUrl}model.json`, `${modelUrl}metadata.json`);
+  return {
+    runsInWorker: false,
+    getClassLabels: () => model.getClassLabels(),
+    predict: (video) => model.predict(video),
+    dispose: () => model.dispose()
+  };
+};
+
+/**
+ * Loads the eye-contact model, in a worker where the browser supports it
+ * Both variants share one interface, so callers do not need to know which
+ * one they got.
+ *
+ * @param {string} modelUrl - Folder containing model.json and metadata.json
+ * @returns {Promise<{predict: Function, getClassLabels: Function, dispose: Function, runsInWorker: boolean}>} Model wrapper
+ *
+ * @example
+ * const model = await createEyeContactModel(EYE_CONTACT_MODEL.URL);
+ * const predictions = await model.predict(videoRef.current);
+ * // [{ className: 'Eye Contact', probability: 0.82 }, { className: 'Looking Away', probability: 0.18 }]
+ */
+export const createEyeContactModel = async (modelUrl) => {
+  if (isWorkerInferenceSupported()) {
+    try {
+      return await createWorkerModel(modelUrl);
+    } catch (err) {
+      console.warn('Eye contact worker unavailable, falling back to the main thread:', err);
+    }
+  }
+  return createMainThreadModel(modelUrl);
+};
+
+/**
+ * Calls onFrame for new video frames, at most one call at a time
+ * Frames arriving while a call is still running are skipped, and the minimum
+ * time between calls is set from a running average of how long calls take.
+ * Uses requestVideoFrameCallback where supported, otherwise a timer.
+ *
+ * @param {HTMLVideoElement} video - Playing video
+ * @param {Function} onFrame - Async work for one frame
+ * @param {Object} [settings] - Interval settings (defaults to EYE_CONTACT_INFERENCE)
+ * @returns {Function} Stops sampling
+ *
+ * @example
+ * const stop = startFrameSampler(videoRef.current, async () => {
+ *   samples.push(await model.predict(videoRef.current));
+ * });
+ */
+export const startFrameSampler = (video, onFrame, settings = EYE_CONTACT_INFERENCE) => {
+  const usesFrameCallback = typeof video.requestVideoFrameCallback === 'function';
+  let stopped = false;
+  let handle = null;
+  let inFlight = false;
+  let lastStartedAt = -Infinity;
+  let averageMs = null;
+  let intervalMs = settings.INITIAL_INTERVAL_MS;
+
+  const finish = (startedAt) => {
+    const elapsed = performance.now() - startedAt;
+    averageMs = averageMs === null ? elapsed : averageMs + settings.SMOOTHING * (elapsed - averageMs);
+    intervalMs = Math.min(Math.max(averageMs * settings.LOAD_FACTOR, settings.MIN_INTERVAL_MS), settings.MAX_INTERVAL_MS);
+    inFlight = false;
+  };
+
+  const tick = () => {
+    if (stopped) return;
+    handle = usesFrameCallback
+      ? video.requestVideoFrameCallback(tick)
+      : setTimeout(tick, settings.MIN_INTERVAL_MS);
+
+    const now = performance.now();
+    if (inFlight || now - lastStartedAt < intervalMs) {
+      return;
+    }
+    inFlight = true;
+    lastStartedAt = now;
+    Promise.resolve()
+      .then(onFrame)
+      .catch(err => console.error('Frame sampling failed:', err))
+      .finally(() => finish(now));
+  };
+
+  handle = usesFrameCallback
+    ? video.requestVideoFrameCallback(tick)
+    : setTimeout(tick, 0);
+
+  return () => {
+    stopped = true;
+    if (usesFrameCallback) {
+      video.cancelVideoFrameCallback(handle);
+    } else {
+      clearTimeout(handle);
+    }
+  };
+};
+
+/**
+ * Measures eye contact in a video file, producing the same score and samples
+ * as live detection
+ * The video plays muted at an accelerated rate in an invisible element that
+ * stays in the document, since frame callbacks only fire for rendered videos.
+ * Sample times are positions in the video.
+ *
+ * @param {Object} model - Loaded eye-contact model (see createEyeContactModel)
+ * @param {Blob} blob - Video to analyse
+ * @param {Object} [options] - Analysis options
+ * @param {number} [options.threshold] - Probability above which a frame counts as eye contact
+ * @param {number} [options.durationHint] - Duration in seconds, for videos that do not report one (MediaRecorder WebM)
+ * @param {Function} [options.onProgress] - Called with the fraction analysed (0-1), or null if the duration is unknown
+ * @param {AbortSignal} [options.signal] - Cancels the analysis (rejects with an AbortError)
+ * @param {number} [options.playbackRate] - Playback speed
+ * @returns {Promise<{eyeContactScore: number|null, eyeContactSamples: Array<Object>, lookAways: Array<Object>}>} Analysis results
+ *
+ * @example
+ * const result = await analyzeVideoEyeContact(model, file, {
+ *   threshold: 0.6,
+ *   onProgress: fraction => setProgress(fraction)
+ * });
+ * // { eyeContactScore: 72, eyeContactSamples: [...], lookAways: [{ start: 12.4, end: 15.1 }] }
+ */
+export const analyzeVideoEyeContact = (model, blob, {
+  threshold = EYE_CONTACT_MODEL.DEFAULT_THRESHOLD,
+  durationHint = null,
+  onProgress = () => {},
+  signal = null,
+  playbackRate = OFFLINE_EYE_CONTACT.PLAYBACK_RATE
+} = {}) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new DOMException('Eye-contact analysis cancelled', 'AbortError'));
+    return;
+  }
+
+  const url = URL.createObjectURL(blob);
+  const video = document.createElement('video');
+  video.muted = true;
+  video.playsInline = true;
+  video.defaultPlaybackRate = playbackRate;
+  Object.assign(video.style, {
+    position: 'fixed', left: '0', top: '0', width: '1px', height: '1px', opacity: '0', pointerEvents: 'none'
+  });
+  document.body.appendChild(video);
+
+  const samples = [];
+  let stopSampler = null;
+  let settled = false;
+
+  const getDuration = () => (Number.isFinite(video.duration) ? video.duration : durationHint);
+
+  const finish = (error) => {
+    if (settled) return;
+    settled = true;
+    if (stopSampler) stopSampler();
+    signal?.removeEventListener('abort', handleAbort);
+    video.pause();
+    video.remove();
+    URL.revokeObjectURL(url);
+
+    if (error) {
+      reject(error);
+      return;
+    }
+    const eyeContactFrames = samples.filter(sample => sample.eyeContact).length;
+    resolve({
+      eyeContactScore: samples.length > 0 ? Math.round((eyeContactFrames / samples.length) * 100) : null,
+      eyeContactSamples: samples,
+      lookAways: computeLookAwayIntervals(samples)
+    });
+  };
+
+  const handleAbort = () => finish(new DOMException('Eye-contact analysis cancelled', 'AbortError'));
+  signal?.addEventListener('abort', handleAbort);
+
+  video.addEventListener('error', () => finish(new Error('The video could not be decoded.')));
+  video.addEventListener('ended', () => {
+    onProgress(1);
+    finish();
+  });
+  video.addEventListener('loadeddata', () => {
+    video.playbackRate = playbackRate;
+    stopSampler = startFrameSampler(video, async () => {
+      const time = video.currentTime;
+      const probability = getEyeContactProbability(await model.predict(video));
+      if (probability !== null && !settled) {
+        samples.push({ time, probability, eyeContact: probability >= threshold });
+      }
+      const duration = getDuration();
+      onProgress(duration ? Math.min(time / duration, 1) : null);
+    });
+    video.play().catch(err => finish(err));
+  }, { once: true });
+
+  video.src = url;
+});
@@ -0,0 +1,208 @@
+/**
+ * Framing Check Utilities
+ *
+ * Pre-recording check of the webcam picture: brightness, contrast, backlight
+ * and, when the pose model is available, face position and size. Many poor
+ * eye-contact scores come from a bad setup rather than the speaker.
+ */
+
+import { BODY_LANGUAGE, FRAMING_CHECK } from '../constants';
+import { estimatePose } from './bodyLanguage';
+
+/**
+ * Measures the luminance of a video frame
+ *
+ * @param {HTMLVideoElement} video - Playing webcam video
+ * @param {HTMLCanvasElement} canvas - Scratch canvas used for downscaling
+ * @param {{x: number, y: number, width: number, height: number}} faceBox - Face region as frame fractions
+ * @returns {{brightness: number, contrast: number, faceBrightness: number, backgroundBrightness: number}} Luminance statistics
+ */
+const measureLighting = (video, canvas, faceBox) => {
+  const width = FRAMING_CHECK.ANALYSIS_WIDTH;
+  const height = Math.round(width * (video.videoHeight / video.videoWidth)) || Math.round(width * 0.5625);
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(video, 0, 0, width, height);
+  const { data } = ctx.getImageData(0, 0, width, height);
+
+  let sum = 0;
+  let sumSquares = 0;
+  let faceSum = 0;
+  let faceCount = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    const luminance = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    sum += luminance;
+    sumSquares += luminance * luminance;
+
+    const x = ((i / 4) % width) / width;
+    const y = Math.floor(i / 4 / width) / height;
+    if (x >= faceBox.x && x <= faceBox.x + faceBox.width && y >= faceBox.y && y <= faceBox.y + faceBox.height) {
+      faceSum += luminance;
+      faceCount += 1;
+    }
+  }
+
+  const count = data.length / 4;
+  const brightness = sum / count;
+  const backgroundCount = count - faceCount;
+  return {
+    brightness,
+    contrast: Math.sqrt(Math.max(sumSquares / count - brightness * brightness, 0)),
+    faceBrightness: faceCount > 0 ? faceSum / faceCount : brightness,
+    backgroundBrightness: backgroundCount > 0 ? (sum - faceSum) / backgroundCount : brightness
+  };
+};
+
+/**
+ * Locates the face from PoseNet's facial keypoints
+ *
+ * @param {Object} pose - PoseNet estimate
+ * @param {number} frameWidth - Video width in pixels
+ * @param {number} frameHeight - Video height in pixels
+ * @returns {{centreX: number, eyeY: number, width: number}|null} Face position as frame fractions, or null if not found
+ */
+const measureFace = (pose, frameWidth, frameHeight) => {
+  const points = {};
+  (pose?.keypoints || []).forEach(keypoint => {
+    if (keypoint.score >= BODY_LANGUAGE.MIN_KEYPOINT_SCORE) {
+      points[keypoint.part] = keypoint.position;
+    }
+  });
+
+  const { nose, leftEye, rightEye, leftEar, rightEar } = points;
+  if (!nose || !leftEye || !rightEye) {
+    return null;
+  }
+
+  // Ears give the face width; otherwise estimate it from the eye distance
+  const width = leftEar && rightEar
+    ? Math.abs(leftEar.x - rightEar.x)
+    : Math.abs(leftEye.x - rightEye.x) * 2.5;
+
+  return {
+    centreX: nose.x / frameWidth,
+    eyeY: ((leftEye.y + rightEye.y) / 2) / frameHeight,
+    width: width / frameWidth
+  };
+};
+
+/**
+ * Builds the checklist from averaged measurements
+ *
+ * @param {Object} lighting - Averaged lighting statistics
+ * @param {Object|null} face - Averaged face position, or null if no face was found
+ * @param {boolean} canCheckFace - Whether a pose model was available
+ * @returns {Array<{id: string, label: string, passed: boolean, skipped: boolean, fix: string|null}>} Checklist items
+ */
+const buildChecklist = (lighting, face, canCheckFace) => {
+  const item = (id, label, passed, fix) => ({ id, label, passed, skipped: false, fix: passed ? null : fix });
+  const skipped = (id, label) => ({ id, label, passed: true, skipped: true, fix: null });
+
+  const items = [
+    item('brightness', 'Lighting level',
+      lighting.brightness >= FRAMING_CHECK.MIN_BRIGHTNESS && lighting.brightness <= FRAMING_CHECK.MAX_BRIGHTNESS,
+      lighting.brightness < FRAMING_CHECK.MIN_BRIGHTNESS
+        ? 'Your picture is too dark. Turn on a light or face a window.'
+        : 'Your picture is overexposed. Move away from direct sunlight or dim the light pointed at you.'),
+    item('contrast', 'Picture contrast',
+      lighting.contrast >= FRAMING_CHECK.MIN_CONTRAST,
+      'The picture looks flat. Add a light in front of you and wipe the camera lens.'),
+    item('backlight', 'Light in front of you',
+      lighting.backgroundBrightness - lighting.faceBrightness < FRAMING_CHECK.BACKLIGHT_MARGIN,
+      'There is bright light behind you. Move the light in front of you or close the blinds behind you.')
+  ];
+
+  if (!canCheckFace) {
+    return [
+      ...items,
+      skipped('face-visible', 'Face position (could not be checked)')
+    ];
+  }
+
+  if (!face) {
+    return [
+      ...items,
+      item('face-visible', 'Face in frame', false, 'We could not find your face. Make sure your whole face is visible to the camera.')
+    ];
+  }
+
+  return [
+    ...items,
+    item('face-visible', 'Face in frame', true, null),
+    item('face-centred', 'Face centred',
+      Math.abs(face.centreX - 0.5) <= FRAMING_CHECK.MAX_FACE_OFFSET,
+      'Move the camera (or yourself) so your face is in the middle of the frame.'),
+    item('face-height', 'Camera at eye level',
+      face.eyeY >= FRAMING_CHECK.MIN_FACE_TOP && face.eyeY <= FRAMING_CHECK.MAX_FACE_TOP,
+      face.eyeY < FRAMING_CHECK.MIN_FACE_TOP
+        ? 'Your head is too close to the top edge. Tilt the camera down slightly to leave some space above your head.'
+        : 'The camera is looking down at you. Raise it to eye level, e.g. by putting your laptop on a stack of books.'),
+    item('face-size', 'Distance from camera',
+      face.width >= FRAMING_CHECK.MIN_FACE_WIDTH && face.width <= FRAMING_CHECK.MAX_FACE_WIDTH,
+      face.width < FRAMING_CHECK.MIN_FACE_WIDTH
+        ? 'You are far from the camera. Move closer so your face fills more of the frame.'
+        : 'You are very close to the camera. Move back so your head and shoulders are visible.')
+  ];
+};
+
+/**
+ * Samples a few frames from the webcam and checks lighting and framing
+ *
+ * @param {Object} options - Check options
+ * @param {HTMLVideoElement} options.video - Playing webcam video
+ * @param {Object|null} [options.poseModel] - Loaded PoseNet model; face checks are skipped without it
+ * @returns {Promise<{passed: boolean, items: Array<Object>}>} Checklist and whether every check passed
+ *
+ * @example
+ * const { passed, items } = await runFramingCheck({ video: videoRef.current, poseModel });
+ * items.filter(item => !item.passed).forEach(item => console.log(item.fix));
+ */
+export const runFramingCheck = async ({ video, poseModel = null }) => {
+  // The preview may still be starting when the stream has just been attached
+  for (let waited = 0; video && !video.videoWidth && waited < 3000; waited += 100) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  if (!video || !video.videoWidth) {
+    throw new Error('Webcam video is not ready');
+  }
+
+  const canvas = document.createElement('canvas');
+  const poseCanvas = document.createElement('canvas');
+  const lightingSamples = [];
+  const faceSamples = [];
+
+  for (let i = 0; i < FRAMING_CHECK.SAMPLE_COUNT; i++) {
+    let face = null;
+    if (poseModel) {
+      const pose = await estimatePose(poseModel, video, poseCanvas);
+      face = measureFace(pose, video.videoWidth, video.videoHeight);
+      if (face) faceSamples.push(face);
+    }
+
+    // Compare the face against the rest of the frame (centre third when no face was found).
+    // Face width is a fraction of the frame width; rescale it to a fraction of the height
+    const faceSize = face ? face.width * (video.videoWidth / video.videoHeight) : 0;
+    const faceBox = face
+      ? { x: face.centreX - face.width / 2, y: face.eyeY - faceSize * 0.6, width: face.width, height: faceSize * 1.4 }
+      : { x: 1 / 3, y: 1 / 4, width: 1 / 3, height: 1 / 2 };
+    lightingSamples.push(measureLighting(video, canvas, faceBox));
+
+    await new Promise(resolve => setTimeout(resolve, FRAMING_CHECK.SAMPLE_INTERVAL_MS));
+  }
+
+  const average = (samples, key) => samples.reduce((sum, sample) => sum + sample[key], 0) / samples.length;
+  const lighting = {
+    brightness: average(lightingSamples, 'brightness'),
+    contrast: average(lightingSamples, 'contrast'),
+    faceBrightness: average(lightingSamples, 'faceBrightness'),
+    backgroundBrightness: average(lightingSamples, 'backgroundBrightness')
+  };
+  // Require the face in most frames so a single miss does not fail the check
+  const face = faceSamples.length > FRAMING_CHECK.SAMPLE_COUNT / 2
+    ? { centreX: average(faceSamples, 'centreX'), eyeY: average(faceSamples, 'eyeY'), width: average(faceSamples, 'width') }
+    : null;
+
+  const items = buildChecklist(lighting, face, !!poseModel);
+  return { passed: items.every(checkItem => checkItem.passed), items };
+};
@@ -21,6 +21,38 @@ export const formatTime = (seconds) => {
   return `${mins}:${secs.toString().padStart(2, '0')}`;
 };
 
+/**
+ * Rates how closely a recording matched its target length
+ *
+ * @param {number} actualSeconds - Length of the recording in seconds
+ * @param {number} targetSeconds - Target length in seconds
+ * @param {number} tolerance - Allowed deviation as a fraction of the target (e.g. 0.1 for ±10%)
+ * @returns {{targetSeconds: number, actualSeconds: number, differenceSeconds: number, status: string}}
+ *   status is 'under', 'on-target' or 'over'; differenceSeconds is negative when under target
+ *
+ * @example
+ * getTimeDiscipline(66, 60, 0.1) // { ..., differenceSeconds: 6, status: 'on-target' }
+ * getTimeDiscipline(75, 60, 0.1) // { ..., differenceSeconds: 15, status: 'over' }
+ */
+export const getTimeDiscipline = (actualSeconds, targetSeconds, tolerance) => {
+  const differenceSeconds = Math.round(actualSeconds - targetSeconds);
+  const allowed = targetSeconds * tolerance;
+
+  let status = 'on-target';
+  if (differenceSeconds > allowed) {
+    status = 'over';
+  } else if (differenceSeconds < -allowed) {
+    status = 'under';
+  }
+
+  return {
+    targetSeconds,
+    actualSeconds: Math.round(actualSeconds),
+    differenceSeconds,
+    status
+  };
+};
+
 /**
  * Generates a timestamped filename for recordings
  * 
@@ -75,6 +107,46 @@ export const downloadBlob = (blob, filename) => {
   URL.revokeObjectURL(url);
 };
 
+/**
+ * Validates a user-selected recording file and fills in a missing MIME type
+ *
+ * @param {File} file - File chosen via drag-and-drop or the file picker
+ * @param {Object} settings - Upload settings (see UPLOAD_SETTINGS)
+ * @returns {{file: File|null, error: string|null}} The file ready to upload, or an error message
+ *
+ * @example
+ * const { file, error } = prepareUploadFile(droppedFile, UPLOAD_SETTINGS);
+ * if (error) showError(error);
+ */
+export const prepareUploadFile = (file, settings) => {
+  if (!file) {
+    return { file: null, error: 'No file selected' };
+  }
+
+  const extension = file.name.split('.').pop().toLowerCase();
+  const type = file.type || settings.ACCEPTED_EXTENSIONS[extension];
+
+  if (!type || !settings.ACCEPTED_TYPES.includes(type)) {
+    const accepted = Object.keys(settings.ACCEPTED_EXTENSIONS).map(ext => `.${ext}`).join(', ');
+    return { file: null, error: `Unsupported file type. Please choose a ${accepted} file.` };
+  }
+
+  if (file.size > settings.MAX_SIZE_BYTES) {
+    const maxMegabytes = Math.round(settings.MAX_SIZE_BYTES / (1024 * 1024));
+    return { file: null, error: `File is too large. The maximum size is ${maxMegabytes} MB.` };
+  }
+
+  if (file.size === 0) {
+    return { file: null, error: 'The selected file is empty.' };
+  }
+
+  // Re-wrap files the browser could not type so the upload carries the right content type
+  return {
+    file: file.type ? file : new File([file], file.name, { type }),
+    error: null
+  };
+};
+
 /**
  * Checks if the getUserMedia API is supported in the current browser
  * 
@@ -0,0 +1,94 @@
+/**
+ * Interview Drill Utilities
+ *
+ * Loading the question bank, drawing questions for a session and
+ * aggregating per-answer analysis results into session scores.
+ */
+
+import { INTERVIEW_QUESTION_BANK } from '../constants';
+
+/**
+ * Scores averaged across answers for the session summary
+ */
+const AGGREGATED_SCORES = [
+  'overallPercentage',
+  'confidenceScore',
+  'eyeContactScore',
+  'clarityScore',
+  'engagementScore',
+  'speakingRate'
+];
+
+/**
+ * Loads the interview question bank
+ * Uses REACT_APP_QUESTION_BANK_URL when configured, falling back to the built-in bank.
+ *
+ * @returns {Promise<Object>} Question bank ({ categories: [{ id, label, questions }] })
+ */
+export async function loadQuestionBank() {
+  const url = process.env.REACT_APP_QUESTION_BANK_URL;
+  if (!url) {
+    return INTERVIEW_QUESTION_BANK;
+  }
+
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`${response.status} ${response.statusText}`);
+    }
+    const bank = await response.json();
+    if (!bank || !Array.isArray(bank.categories) || bank.categories.length === 0) {
+      throw new Error('Question bank has no categories');
+    }
+    return bank;
+  } catch (err) {
+    console.error('Failed to load question bank, using built-in questions:', err);
+    return INTERVIEW_QUESTION_BANK;
+  }
+}
+
+/**
+ * Draws random questions from one category of the bank
+ *
+ * @param {Object} bank - Question bank
+ * @param {string} categoryId - Category to draw from
+ * @param {number} count - Number of questions (capped at the category size)
+ * @returns {string[]} Questions in random order
+ */
+export const drawQuestions = (bank, categoryId, count) => {
+  const category = bank.categories.find(item => item.id === categoryId) || bank.categories[0];
+  const pool = [...category.questions];
+
+  // Fisher-Yates shuffle
+  for (let i = pool.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+
+  return pool.slice(0, count);
+};
+
+/**
+ * Averages the scores of all successfully analysed answers
+ *
+ * @param {Array<{analysisData: Object|null}>} answers - Session answers
+ * @returns {Object|null} Averaged scores plus totals, or null if no answer was analysed
+ */
+export const aggregateSessionScores = (answers) => {
+  const analysed = answers.map(answer => answer.analysisData).filter(Boolean);
+  if (analysed.length === 0) {
+    return null;
+  }
+
+  const aggregate = { answersAnalysed: analysed.length };
+  AGGREGATED_SCORES.forEach(key => {
+    const values = analysed.map(data => data[key]).filter(value => typeof value === 'number');
+    aggregate[key] = values.length
+      ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10
+      : null;
+  });
+  aggregate.wordsSpoken = analysed.reduce((sum, data) => sum + (data.wordsSpoken || 0), 0);
+  aggregate.fillerWordCount = analysed.reduce((sum, data) => sum + (data.fillerWordCount || 0), 0);
+
+  return aggregate;
+};
@@ -0,0 +1,123 @@
+/**
+ * Media Device Utilities
+ *
+ * Helpers for listing cameras and microphones, building getUserMedia
+ * constraints from the user's device selection, and persisting that
+ * selection across sessions.
+ */
+
+import {
+  MEDIA_CONSTRAINTS,
+  RESOLUTIONS,
+  DEFAULT_DEVICE_PREFERENCES,
+  STORAGE_KEYS
+} from '../constants';
+
+/**
+ * Lists the available cameras and microphones
+ * Labels are only populated once the user has granted media permissions.
+ *
+ * @returns {Promise<{videoInputs: MediaDeviceInfo[], audioInputs: MediaDeviceInfo[]}>} Devices grouped by kind
+ */
+export const listMediaDevices = async () => {
+  if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+    return { videoInputs: [], audioInputs: [] };
+  }
+
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return {
+    videoInputs: devices.filter(device => device.kind === 'videoinput'),
+    audioInputs: devices.filter(device => device.kind === 'audioinput')
+  };
+};
+
+/**
+ * Builds getUserMedia constraints from a device selection
+ *
+ * @param {Object} preferences - Device selection
+ * @param {string} preferences.videoDeviceId - Camera device ID ('' for default)
+ * @param {string} preferences.audioDeviceId - Microphone device ID ('' for default)
+ * @param {string} preferences.resolution - Key of RESOLUTIONS
+ * @param {boolean} audioOnly - Request only the microphone (no camera)
+ * @returns {MediaStreamConstraints} Constraints for getUserMedia
+ *
+ * @example
+ * buildMediaConstraints({ videoDeviceId: 'abc', audioDeviceId: '', resolution: '1080p' })
+ * // uses camera "abc" at 1920x1080 with the default microphone
+ */
+export const buildMediaConstraints = (preferences = DEFAULT_DEVICE_PREFERENCES, audioOnly = false) => {
+  const resolution = RESOLUTIONS[preferences.resolution] || RESOLUTIONS[DEFAULT_DEVICE_PREFERENCES.resolution];
+
+  const video = {
+    ...MEDIA_CONSTRAINTS.video,
+    width: { ideal: resolution.width },
+    height: { ideal: resolution.height }
+  };
+  const audio = { ...MEDIA_CONSTRAINTS.audio };
+
+  if (preferences.videoDeviceId) {
+    // An explicit camera replaces the front-facing heuristic
+    delete video.facingMode;
+    video.deviceId = { exact: preferences.videoDeviceId };
+  }
+
+  if (preferences.audioDeviceId) {
+    audio.deviceId = { exact: preferences.audioDeviceId };
+  }
+
+  return { video: audioOnly ? false : video, audio };
+};
+
+/**
+ * Loads the saved device selection from localStorage
+ *
+ * @returns {Object} Saved preferences merged over the defaults
+ */
+export const loadDevicePreferences = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.DEVICE_PREFERENCES));
+    return { ...DEFAULT_DEVICE_PREFERENCES, ...(saved || {}) };
+  } catch (err) {
+    return { ...DEFAULT_DEVICE_PREFERENCES };
+  }
+};
+
+/**
+ * Saves the device selection to localStorage
+ *
+ * @param {Object} preferences - Device selection to persist
+ */
+export const saveDevicePreferences = (preferences) => {
+  try {
+    localStorage.setItem(STORAGE_KEYS.DEVICE_PREFERENCES, JSON.stringify(preferences));
+  } catch (err) {
+    console.warn('Could not save device preferences:', err);
+  }
+};
+
+/**
+ * Checks whether an error from getUserMedia means the requested device is gone
+ *
+ * @param {Error} err - Error thrown by getUserMedia
+ * @returns {boolean} True if retrying with default devices may succeed
+ */
+export const isMissingDeviceError = (err) => {
+  return !!err && (err.name === 'OverconstrainedError' || err.name === 'NotFoundError');
+};
+
+/**
+ * Checks whether the device behind a live track is still connected
+ *
+ * @param {MediaStreamTrack} track - Track from the current media stream
+ * @param {{videoInputs: MediaDeviceInfo[], audioInputs: MediaDeviceInfo[]}} devices - Result of listMediaDevices
+ * @returns {boolean} False if the track has ended or its device is no longer listed
+ */
+export const isTrackDeviceAvailable = (track, devices) => {
+  if (track.readyState === 'ended') return false;
+
+  const { deviceId } = track.getSettings ? track.getSettings() : {};
+  if (!deviceId) return true;
+
+  const candidates = track.kind === 'video' ? devices.videoInputs : devices.audioInputs;
+  return candidates.some(device => device.deviceId === deviceId);
+};
@@ -0,0 +1,240 @@
+/**
+ * Mock Analysis Client
+ *
+ * Stands in for the backend when ANALYSIS_CLIENT.MODE is 'mock': steps through
+ * the upload and analysis stages with simulated latency and resolves with
+ * mockdata.json, so demos and UI work need no backend or API keys. Failures
+ * are simulated as the same ApiErrors the backend produces. Background jobs
+ * live in memory, so they are gone after a reload (like an expired job).
+ */
+
+import mockData from '../mockdata.json';
+import { ANALYSIS_CLIENT, ANALYSIS_STAGES } from '../constants';
+import { ApiError } from './apiCall';
+
+// Stage each simulated error happens in, and whether the backend marks it retryable
+const MOCK_FAILURES = {
+  NETWORK_ERROR: { stage: 'uploading', retryable: true },
+  UNSUPPORTED_FILE_TYPE: { stage: 'received', retryable: false },
+  INVALID_TRIM_RANGE: { stage: 'received', retryable: false },
+  AUDIO_EXTRACTION_FAILED: { stage: 'extracting_audio', retryable: false },
+  TRANSCRIPTION_FAILED: { stage: 'transcribing', retryable: true },
+  SERVICE_MISCONFIGURED: { stage: 'transcribing', retryable: false },
+  SCORING_FAILED: { stage: 'scoring', retryable: true },
+  TIMEOUT: { stage: 'scoring', retryable: true }
+};
+
+// Picked from when failures are given as a rate: the ones a real backend has now and then
+const RANDOM_FAILURES = ['NETWORK_ERROR', 'TRANSCRIPTION_FAILED', 'SCORING_FAILED'];
+
+const UPLOAD_PROGRESS_STEPS = 5;
+
+// Background jobs by id: when they started and how they will end
+const mockJobs = new Map();
+let nextJobId = 1;
+
+/**
+ * Resolves after a delay, or rejects as soon as the signal aborts
+ */
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new DOMException('Analysis cancelled', 'AbortError'));
+    return;
+  }
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', handleAbort);
+    resolve();
+  }, ms);
+  const handleAbort = () => {
+    clearTimeout(timer);
+    reject(new DOMException('Analysis cancelled', 'AbortError'));
+  };
+  signal?.addEventListener('abort', handleAbort, { once: true });
+});
+
+/**
+ * Decides which error, if any, this analysis fails with
+ *
+ * @param {string|null} failure - Error code, or a failure rate from 0 to 1
+ * @returns {string|null} Error code, or null to succeed
+ */
+const pickFailure = (failure) => {
+  if (!failure) {
+    return null;
+  }
+  const rate = Number(failure);
+  if (Number.isNaN(rate)) {
+    return failure;
+  }
+  return Math.random() < rate
+    ? RANDOM_FAILURES[Math.floor(Math.random() * RANDOM_FAILURES.length)]
+    : null;
+};
+
+/**
+ * Builds the simulated error for a code
+ *
+ * @param {string} code - Error code (see ANALYSIS_ERRORS)
+ * @returns {ApiError} Error as analyzeVideo would throw it
+ */
+const createFailure = (code) => {
+  const { stage, retryable } = MOCK_FAILURES[code] || { stage: 'scoring', retryable: true };
+  return new ApiError({ code, message: `Simulated failure during ${stage}: ${code}`, retryable, stage });
+};
+
+/**
+ * Simulates the chunked upload, failing halfway if the failure is an upload error
+ */
+const simulateUpload = async (stageMs, failureCode, onUploadProgress, signal) => {
+  const failureStage = failureCode ? createFailure(failureCode).stage : null;
+  for (let step = 1; step <= UPLOAD_PROGRESS_STEPS; step++) {
+    await delay(stageMs / UPLOAD_PROGRESS_STEPS, signal);
+    if (failureStage === 'uploading' && step > UPLOAD_PROGRESS_STEPS / 2) {
+      throw createFailure(failureCode);
+    }
+    if (onUploadProgress) onUploadProgress(step / UPLOAD_PROGRESS_STEPS);
+  }
+};
+
+/**
+ * Formats a speech length the way the backend does: zero-padded MM:SS
+ *
+ * @param {number} seconds - Whole seconds
+ * @returns {string} e.g. "01:05"
+ */
+const formatSpeechLength = (seconds) =>
+  `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+
+/**
+ * Builds the mock analysis result
+ *
+ * @param {{start: number, end: number}|null} trim - Analyzed range, which sets the speech length
+ * @returns {Object} Copy of mockdata.json
+ */
+const createResult = (trim) => {
+  const result = JSON.parse(JSON.stringify(mockData));
+  if (trim) {
+    result.speechLength = formatSpeechLength(Math.round(trim.end - trim.start));
+  }
+  return result;
+};
+
+/**
+ * Simulates startAnalysisJob (see apiCall.js)
+ * The job then moves through the stages as time passes, one per
+ * latencyMs / ANALYSIS_STAGES.length.
+ *
+ * @param {Blob|File} videoBlob - The recorded video blob or uploaded file
+ * @param {Object} [options] - The options of apiCall's startAnalysisJob, plus latencyMs and failure (see analyzeVideo)
+ * @returns {Promise<string>} Id of the mock job
+ */
+export const startAnalysisJob = async (videoBlob, {
+  trim = null,
+  onUploadProgress = null,
+  signal = null,
+  latencyMs = ANALYSIS_CLIENT.MOCK_LATENCY_MS,
+  failure = ANALYSIS_CLIENT.MOCK_FAILURE
+} = {}) => {
+  if (!videoBlob) {
+    throw new Error('No video blob provided');
+  }
+
+  const failureCode = pickFailure(failure);
+  const stageMs = latencyMs / ANALYSIS_STAGES.length;
+  await simulateUpload(stageMs, failureCode, onUploadProgress, signal);
+
+  const jobId = `mock-${nextJobId++}`;
+  mockJobs.set(jobId, { startedAt: Date.now(), stageMs, failureCode, trim, result: null });
+  return jobId;
+};
+
+/**
+ * Simulates getAnalysisJob (see apiCall.js)
+ *
+ * @param {string} jobId - Id from startAnalysisJob
+ * @returns {Promise<Object>} Job status, shaped like the backend's
+ * @throws {ApiError} JOB_NOT_FOUND for unknown (e.g. cancelled) jobs
+ */
+export const getAnalysisJob = async (jobId) => {
+  const job = mockJobs.get(jobId);
+  if (!job) {
+    throw new ApiError({ code: 'JOB_NOT_FOUND', message: `Analysis job not found: ${jobId}`, retryable: false, status: 404 });
+  }
+
+  // Stages after the upload, in the order they run
+  const stages = ANALYSIS_STAGES.slice(1).map(stage => stage.id);
+  const stageIndex = Math.floor((Date.now() - job.startedAt) / job.stageMs);
+  const status = { job_id: jobId, status: 'running', stage: stages[Math.min(stageIndex, stages.length - 1)], result: null, error: null };
+
+  const failure = job.failureCode ? createFailure(job.failureCode) : null;
+  const failureIndex = failure ? stages.indexOf(failure.stage) : -1;
+  if (failureIndex >= 0 && stageIndex > failureIndex) {
+    const { code, message, retryable, stage } = failure;
+    return { ...status, status: 'failed', stage, error: { code, message, retryable, stage } };
+  }
+  if (stageIndex >= stages.length) {
+    job.result = job.result || createResult(job.trim);
+    return { ...status, status: 'succeeded', result: job.result };
+  }
+  return status;
+};
+
+/**
+ * Simulates cancelAnalysisJob (see apiCall.js)
+ *
+ * @param {string} jobId - Id from startAnalysisJob
+ * @returns {Promise<void>}
+ */
+export const cancelAnalysisJob = async (jobId) => {
+  mockJobs.delete(jobId);
+};
+
+/**
+ * Simulates analyzeVideo (see apiCall.js), resolving with mockdata.json
+ *
+ * @param {Blob|File} videoBlob - The recorded video blob or uploaded file
+ * @param {Object} [options] - The options of apiCall's analyzeVideo, plus:
+ * @param {number} [options.latencyMs] - Total simulated time for the upload and all stages
+ * @param {string|null} [options.failure] - Error code to fail with, or a failure rate from 0 to 1
+ * @returns {Promise<Object>} Mock speech analysis
+ * @throws {ApiError} The simulated failure (an AbortError if cancelled)
+ *
+ * @example
+ * const result = await analyzeVideo(blob, { failure: 'TRANSCRIPTION_FAILED' });
+ * // rejects with ApiError { code: 'TRANSCRIPTION_FAILED', stage: 'transcribing', retryable: true }
+ */
+export const analyzeVideo = async (videoBlob, {
+  trim = null,
+  onUploadProgress = null,
+  onStage = null,
+  signal = null,
+  latencyMs = ANALYSIS_CLIENT.MOCK_LATENCY_MS,
+  failure = ANALYSIS_CLIENT.MOCK_FAILURE
+} = {}) => {
+  if (!videoBlob) {
+    throw new Error('No video blob provided');
+  }
+
+  const failureCode = pickFailure(failure);
+  const failureStage = failureCode ? createFailure(failureCode).stage : null;
+  const stageMs = latencyMs / ANALYSIS_STAGES.length;
+
+  await simulateUpload(stageMs, failureCode, onUploadProgress, signal);
+
+  for (const { id } of ANALYSIS_STAGES.slice(1)) {
+    if (onStage) onStage(id);
+    await delay(stageMs, signal);
+    if (failureStage === id) {
+      throw createFailure(failureCode);
+    }
+  }
+
+  return createResult(trim);
+};
+
+/**
+ * Simulates checkServiceHealth (see apiCall.js); the mock is always available
+ *
+ * @returns {Promise<boolean>} Always true
+ */
+export const checkServiceHealth = async () => true;
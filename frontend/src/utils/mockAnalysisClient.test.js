@@ -0,0 +1,66 @@
+import mockData from '../mockdata.json';
+import { analyzeVideo, cancelAnalysisJob, getAnalysisJob, startAnalysisJob } from './mockAnalysisClient';
+
+const LATENCY_MS = 300;
+const blob = new Blob(['video'], { type: 'video/webm' });
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('analyzeVideo', () => {
+  it('reports upload progress and every stage, then resolves with the mock result', async () => {
+    const progress = [];
+    const stages = [];
+    const result = await analyzeVideo(blob, {
+      latencyMs: LATENCY_MS,
+      failure: null,
+      onUploadProgress: value => progress.push(value),
+      onStage: stage => stages.push(stage)
+    });
+
+    expect(progress[progress.length - 1]).toBe(1);
+    expect(stages).toEqual(['received', 'extracting_audio', 'transcribing', 'scoring', 'done']);
+    expect(result).toEqual(mockData);
+    expect(result.transcript).toEqual(expect.any(String));
+  });
+
+  it('sets the speech length from the trimmed range', async () => {
+    const result = await analyzeVideo(blob, { latencyMs: LATENCY_MS, failure: null, trim: { start: 10, end: 75 } });
+
+    expect(result.speechLength).toBe('01:05');
+    expect(mockData.speechLength).toBe('04:58'); // The shared mock data is left untouched
+  });
+
+  it('rejects with the requested failure', async () => {
+    await expect(analyzeVideo(blob, { latencyMs: LATENCY_MS, failure: 'TRANSCRIPTION_FAILED' }))
+      .rejects.toMatchObject({ code: 'TRANSCRIPTION_FAILED', stage: 'transcribing', retryable: true });
+  });
+});
+
+describe('analysis jobs', () => {
+  it('runs a job through the stages until it succeeds', async () => {
+    const jobId = await startAnalysisJob(blob, { latencyMs: LATENCY_MS, failure: null });
+
+    const running = await getAnalysisJob(jobId);
+    expect(running).toMatchObject({ job_id: jobId, status: 'running', result: null });
+
+    await wait(LATENCY_MS);
+    const finished = await getAnalysisJob(jobId);
+    expect(finished.status).toBe('succeeded');
+    expect(finished.result).toEqual(mockData);
+  });
+
+  it('fails a job in the stage of the requested failure', async () => {
+    const jobId = await startAnalysisJob(blob, { latencyMs: LATENCY_MS, failure: 'SCORING_FAILED' });
+
+    await wait(LATENCY_MS);
+    const failed = await getAnalysisJob(jobId);
+    expect(failed).toMatchObject({ status: 'failed', stage: 'scoring', error: { code: 'SCORING_FAILED', retryable: true } });
+  });
+
+  it('forgets cancelled jobs', async () => {
+    const jobId = await startAnalysisJob(blob, { latencyMs: LATENCY_MS, failure: null });
+    await cancelAnalysisJob(jobId);
+
+    await expect(getAnalysisJob(jobId)).rejects.toMatchObject({ code: 'JOB_NOT_FOUND', retryable: false });
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Presentation Compositing Utilities
+ *
+ * Combines a shared screen and the webcam into a single recordable stream:
+ * slides fill the frame and the webcam is drawn as a picture-in-picture inset.
+ */
+
+import { PRESENTATION_SETTINGS } from '../constants';
+
+/**
+ * Checks if screen capture is supported in the current browser
+ *
+ * @returns {boolean} True if getDisplayMedia is available
+ */
+export const isDisplayMediaSupported = () => {
+  return !!(navigator.mediaDevices && navigator.mediaDevices.getDisplayMedia);
+};
+
+/**
+ * Creates an off-DOM video element playing a stream
+ *
+ * @param {MediaStream} stream - Stream to play
+ * @returns {HTMLVideoElement} Playing, muted video element
+ */
+const createSourceVideo = (stream) => {
+  const video = document.createElement('video');
+  video.muted = true;
+  video.playsInline = true;
+  video.srcObject = stream;
+  video.play().catch(err => console.warn('Could not play compositor source:', err));
+  return video;
+};
+
+/**
+ * Calls onTick at a fixed rate
+ * Uses a worker-based timer where possible because the presenter usually has
+ * their slides focused, and timers in background tabs are throttled to 1 Hz.
+ *
+ * @param {Function} onTick - Called every interval
+ * @param {number} intervalMs - Interval in milliseconds
+ * @returns {Function} Stops the ticker
+ */
+const startTicker = (onTick, intervalMs) => {
+  try {
+    const source = `setInterval(() => postMessage(0), ${intervalMs});`;
+    const url = URL.createObjectURL(new Blob([source], { type: 'application/javascript' }));
+    const worker = new Worker(url);
+    worker.onmessage = onTick;
+    return () => {
+      worker.terminate();
+      URL.revokeObjectURL(url);
+    };
+  } catch (err) {
+    console.warn('Worker timer unavailable, falling back to setInterval:', err);
+    const interval = setInterval(onTick, intervalMs);
+    return () => clearInterval(interval);
+  }
+};
+
+/**
+ * Draws a video scaled to fit inside a box, preserving its aspect ratio
+ */
+const drawContained = (ctx, video, x, y, width, height) => {
+  if (!video.videoWidth || !video.videoHeight) return;
+  const scale = Math.min(width / video.videoWidth, height / video.videoHeight);
+  const drawWidth = video.videoWidth * scale;
+  const drawHeight = video.videoHeight * scale;
+  ctx.drawImage(video, x + (width - drawWidth) / 2, y + (height - drawHeight) / 2, drawWidth, drawHeight);
+};
+
+/**
+ * Starts compositing a screen share and webcam onto a canvas
+ *
+ * @param {Object} options - Compositor options
+ * @param {HTMLCanvasElement} options.canvas - Canvas to draw into (also usable as a live preview)
+ * @param {MediaStream} options.screenStream - Stream from getDisplayMedia
+ * @param {MediaStream} options.cameraStream - Webcam/microphone stream; its audio is added to the output
+ * @returns {{stream: MediaStream, stop: Function}} Composited stream for MediaRecorder and a stop function
+ *
+ * @example
+ * const compositor = createPresentationCompositor({ canvas, screenStream, cameraStream });
+ * const recorder = new MediaRecorder(compositor.stream);
+ * // later
+ * compositor.stop();
+ */
+export const createPresentationCompositor = ({ canvas, screenStream, cameraStream }) => {
+  const {
+    FRAME_RATE,
+    INSET_WIDTH_RATIO,
+    INSET_MARGIN,
+    DEFAULT_WIDTH,
+    DEFAULT_HEIGHT
+  } = PRESENTATION_SETTINGS;
+
+  const screenVideo = createSourceVideo(screenStream);
+  const cameraVideo = createSourceVideo(new MediaStream(cameraStream.getVideoTracks()));
+  const ctx = canvas.getContext('2d');
+
+  canvas.width = DEFAULT_WIDTH;
+  canvas.height = DEFAULT_HEIGHT;
+
+  const draw = () => {
+    // Follow the shared screen's resolution (it changes if a window is resized)
+    if (screenVideo.videoWidth && (canvas.width !== screenVideo.videoWidth || canvas.height !== screenVideo.videoHeight)) {
+      canvas.width = screenVideo.videoWidth;
+      canvas.height = screenVideo.videoHeight;
+    }
+
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    drawContained(ctx, screenVideo, 0, 0, canvas.width, canvas.height);
+
+    // Webcam inset in the bottom-right corner
+    if (cameraVideo.videoWidth && cameraVideo.videoHeight) {
+      const insetWidth = canvas.width * INSET_WIDTH_RATIO;
+      const insetHeight = insetWidth * (cameraVideo.videoHeight / cameraVideo.videoWidth);
+      const x = canvas.width - insetWidth - INSET_MARGIN;
+      const y = canvas.height - insetHeight - INSET_MARGIN;
+      ctx.fillStyle = '#FFFFFF';
+      ctx.fillRect(x - 3, y - 3, insetWidth + 6, insetHeight + 6);
+      ctx.drawImage(cameraVideo, x, y, insetWidth, insetHeight);
+    }
+  };
+
+  const stopTicker = startTicker(draw, 1000 / FRAME_RATE);
+
+  const stream = canvas.captureStream(FRAME_RATE);
+  cameraStream.getAudioTracks().forEach(track => stream.addTrack(track));
+
+  return {
+    stream,
+    stop: () => {
+      stopTicker();
+      // Only the canvas track belongs to the compositor; audio stays with the camera stream
+      stream.getVideoTracks().forEach(track => track.stop());
+      screenVideo.srcObject = null;
+      cameraVideo.srcObject = null;
+    }
+  };
+};
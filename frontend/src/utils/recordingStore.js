@@ -0,0 +1,170 @@
+/**
+ * Recording Persistence Utilities
+ *
+ * Streams recording chunks to IndexedDB while a take is in progress so a tab
+ * crash, refresh or accidental navigation does not lose the recording.
+ * Only one unfinished recording is kept at a time.
+ */
+
+import { RECORDING_PERSISTENCE } from '../constants';
+
+const META_STORE = 'meta';
+const CHUNK_STORE = 'chunks';
+const SAMPLE_STORE = 'samples'; // Per chunk, the analysis samples taken since the previous chunk
+const META_KEY = 'current';
+
+/**
+ * Opens (and if needed creates) the recording database
+ *
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+const openDatabase = () => new Promise((resolve, reject) => {
+  if (!window.indexedDB) {
+    reject(new Error('IndexedDB is not supported in this browser'));
+    return;
+  }
+
+  const request = window.indexedDB.open(RECORDING_PERSISTENCE.DB_NAME, RECORDING_PERSISTENCE.DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(META_STORE)) {
+      db.createObjectStore(META_STORE);
+    }
+    if (!db.objectStoreNames.contains(CHUNK_STORE)) {
+      db.createObjectStore(CHUNK_STORE);
+    }
+    if (!db.objectStoreNames.contains(SAMPLE_STORE)) {
+      db.createObjectStore(SAMPLE_STORE);
+    }
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Runs work inside a transaction and resolves once it has committed
+ *
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} work - Receives the meta, chunk and sample stores and queues requests on them
+ * @returns {Promise<void>}
+ */
+const withStores = async (mode, work) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([META_STORE, CHUNK_STORE, SAMPLE_STORE], mode);
+    work(transaction.objectStore(META_STORE), transaction.objectStore(CHUNK_STORE), transaction.objectStore(SAMPLE_STORE));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve();
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+    transaction.onabort = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+};
+
+/**
+ * Starts persisting a new recording, replacing any unfinished one
+ *
+ * @param {Object} info - Recording details kept for recovery
+ * @param {string} info.blobType - MIME type used to rebuild the recording
+ * @param {number} [info.startedAt] - Identifies the take (defaults to now)
+ * @returns {Promise<void>}
+ *
+ * @example
+ * await beginPersistedRecording({ blobType: 'video/webm' });
+ */
+export const beginPersistedRecording = async (info) => {
+  await withStores('readwrite', (meta, chunks, samples) => {
+    chunks.clear();
+    samples.clear();
+    meta.put({ startedAt: Date.now(), ...info, chunkCount: 0 }, META_KEY);
+  });
+};
+
+/**
+ * Appends a recorded chunk and updates the recording's progress
+ * Chunks are keyed by index so they are read back in recording order. The
+ * per-frame samples are saved per chunk too, so each write only holds what is
+ * new instead of rewriting every sample of the take.
+ *
+ * @param {number} index - Position of the chunk in the recording
+ * @param {Blob} data - Chunk from MediaRecorder's dataavailable event
+ * @param {Object} progress - Metrics captured so far (recorded seconds, segments, ...)
+ * @param {{eyeContactSamples: Array<Object>, poseFrames: Array<Object>}} newSamples - Samples taken since the previous chunk
+ * @returns {Promise<void>}
+ */
+export const persistChunk = async (index, data, progress, newSamples) => {
+  await withStores('readwrite', (meta, chunks, samples) => {
+    chunks.put(data, index);
+    samples.put(newSamples, index);
+    const request = meta.get(META_KEY);
+    request.onsuccess = () => {
+      if (request.result) {
+        meta.put({ ...request.result, ...progress, chunkCount: index + 1 }, META_KEY);
+      }
+    };
+  });
+};
+
+/**
+ * Loads the unfinished recording, if there is one
+ *
+ * @returns {Promise<Object|null>} Saved details plus the reassembled `blob`, or null
+ *
+ * @example
+ * const recovered = await loadUnfinishedRecording();
+ * if (recovered) setRecordingBlob(recovered.blob);
+ */
+export const loadUnfinishedRecording = async () => {
+  let info = null;
+  let parts = [];
+  let sampleParts = [];
+  await withStores('readonly', (meta, chunks, samples) => {
+    const metaRequest = meta.get(META_KEY);
+    metaRequest.onsuccess = () => { info = metaRequest.result || null; };
+    // getAll returns values in key (chunk index) order
+    const chunkRequest = chunks.getAll();
+    chunkRequest.onsuccess = () => { parts = chunkRequest.result; };
+    const sampleRequest = samples.getAll();
+    sampleRequest.onsuccess = () => { sampleParts = sampleRequest.result; };
+  });
+
+  if (!info || parts.length === 0) {
+    return null;
+  }
+  return {
+    ...info,
+    eyeContactSamples: sampleParts.flatMap(part => part.eyeContactSamples),
+    poseFrames: sampleParts.flatMap(part => part.poseFrames),
+    blob: new Blob(parts, { type: info.blobType })
+  };
+};
+
+/**
+ * Deletes the persisted recording once it is no longer needed
+ *
+ * @param {number|null} [startedAt] - Only delete it if it is still this take
+ * @returns {Promise<void>}
+ *
+ * @example
+ * // An analysis finished after the user started another take: keep the new one
+ * await clearPersistedRecording(analysedTakeStartedAt);
+ */
+export const clearPersistedRecording = async (startedAt = null) => {
+  await withStores('readwrite', (meta, chunks, samples) => {
+    const request = meta.get(META_KEY);
+    request.onsuccess = () => {
+      if (startedAt === null || request.result?.startedAt === startedAt) {
+        meta.clear();
+        chunks.clear();
+        samples.clear();
+      }
+    };
+  });
+};
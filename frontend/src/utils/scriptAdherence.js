@@ -0,0 +1,153 @@
+/**
+ * Script Adherence Utilities
+ *
+ * Compares a prepared script with the transcript returned by the analysis
+ * to find skipped, added and reworded passages.
+ */
+
+/**
+ * Hesitation sounds the transcriber keeps verbatim; they are not counted as added words
+ */
+const HESITATIONS = new Set(['um', 'uh', 'er', 'ah', 'hmm', 'mm', 'erm']);
+
+/**
+ * Splits text into words, keeping the original spelling for display
+ * and a normalized form for comparison
+ *
+ * @param {string} text - Text to split
+ * @returns {Array<{word: string, key: string}>} Words with their comparison keys
+ */
+const tokenize = (text) => {
+  return text
+    .replace(/\[[^\]]*\]/g, ' ') // Drop non-verbal markers such as [pause 2s]
+    .split(/\s+/)
+    .map(word => ({ word, key: word.toLowerCase().replace(/[^a-z0-9']/g, '') }))
+    .filter(token => token.key.length > 0);
+};
+
+/**
+ * Computes the LCS lengths of source against every prefix of target,
+ * keeping only two rows of the table
+ *
+ * @returns {Uint32Array} Entry j is the LCS length of source and target's first j words
+ */
+const lcsLengths = (source, target) => {
+  let previous = new Uint32Array(target.length + 1);
+  let current = new Uint32Array(target.length + 1);
+  for (let i = 0; i < source.length; i++) {
+    for (let j = 0; j < target.length; j++) {
+      current[j + 1] = source[i].key === target[j].key
+        ? previous[j] + 1
+        : Math.max(previous[j + 1], current[j]);
+    }
+    [previous, current] = [current, previous];
+  }
+  return previous;
+};
+
+/**
+ * Computes a word-level diff using the longest common subsequence
+ * Uses Hirschberg's algorithm: the script is split in half and the transcript
+ * where the two halves' LCS lengths add up best, so memory stays linear in
+ * the number of words instead of growing with script x transcript.
+ *
+ * @param {Array<{word: string, key: string}>} source - Script words
+ * @param {Array<{word: string, key: string}>} target - Transcript words
+ * @param {Array<{type: string, word: string}>} [operations] - Operations are appended here
+ * @returns {Array<{type: string, word: string}>} Operations: 'equal', 'delete' (script only) or 'insert' (transcript only)
+ */
+const diffWords = (source, target, operations = []) => {
+  if (source.length === 0 || target.length === 0) {
+    source.forEach(token => operations.push({ type: 'delete', word: token.word }));
+    target.forEach(token => operations.push({ type: 'insert', word: token.word }));
+    return operations;
+  }
+
+  if (source.length === 1) {
+    const match = target.findIndex(token => token.key === source[0].key);
+    if (match === -1) {
+      return diffWords([], target, diffWords(source, [], operations));
+    }
+    target.slice(0, match).forEach(token => operations.push({ type: 'insert', word: token.word }));
+    operations.push({ type: 'equal', word: target[match].word });
+    target.slice(match + 1).forEach(token => operations.push({ type: 'insert', word: token.word }));
+    return operations;
+  }
+
+  const middle = Math.floor(source.length / 2);
+  const head = lcsLengths(source.slice(0, middle), target);
+  const tail = lcsLengths([...source.slice(middle)].reverse(), [...target].reverse());
+  let split = 0;
+  for (let j = 1; j <= target.length; j++) {
+    if (head[j] + tail[target.length - j] > head[split] + tail[target.length - split]) {
+      split = j;
+    }
+  }
+
+  diffWords(source.slice(0, middle), target.slice(0, split), operations);
+  return diffWords(source.slice(middle), target.slice(split), operations);
+};
+
+/**
+ * Compares a script with a transcript
+ *
+ * Consecutive differences are grouped into passages: script words that were
+ * replaced by other words count as 'reworded', otherwise they are 'skipped'
+ * (script only) or 'added' (spoken only).
+ *
+ * @param {string} script - The prepared script
+ * @param {string} transcript - What was actually said
+ * @returns {{adherence: number, passages: Array<Object>}} Adherence percentage (0-100)
+ *   and passages of type 'matched' ({text}), 'skipped' ({script}), 'added' ({spoken})
+ *   or 'reworded' ({script, spoken})
+ *
+ * @example
+ * compareScriptToTranscript('Hello and welcome everyone', 'Hello um welcome all of you')
+ * // { adherence: 50, passages: [matched 'Hello', skipped 'and', matched 'welcome', reworded 'everyone' -> 'all of you'] }
+ */
+export const compareScriptToTranscript = (script, transcript) => {
+  const scriptWords = tokenize(script || '');
+  const spokenWords = tokenize(transcript || '').filter(token => !HESITATIONS.has(token.key));
+
+  if (scriptWords.length === 0) {
+    return { adherence: 0, passages: [] };
+  }
+
+  const passages = [];
+  let matched = 0;
+  let pending = { script: [], spoken: [] };
+
+  const flushPending = () => {
+    if (pending.script.length && pending.spoken.length) {
+      passages.push({ type: 'reworded', script: pending.script.join(' '), spoken: pending.spoken.join(' ') });
+    } else if (pending.script.length) {
+      passages.push({ type: 'skipped', script: pending.script.join(' ') });
+    } else if (pending.spoken.length) {
+      passages.push({ type: 'added', spoken: pending.spoken.join(' ') });
+    }
+    pending = { script: [], spoken: [] };
+  };
+
+  diffWords(scriptWords, spokenWords).forEach(operation => {
+    if (operation.type === 'equal') {
+      flushPending();
+      matched += 1;
+      const last = passages[passages.length - 1];
+      if (last && last.type === 'matched') {
+        last.text += ` ${operation.word}`;
+      } else {
+        passages.push({ type: 'matched', text: operation.word });
+      }
+    } else if (operation.type === 'delete') {
+      pending.script.push(operation.word);
+    } else {
+      pending.spoken.push(operation.word);
+    }
+  });
+  flushPending();
+
+  return {
+    adherence: Math.round((matched / scriptWords.length) * 100),
+    passages
+  };
+};
@@ -0,0 +1,101 @@
+/**
+ * Trim Utilities
+ *
+ * Applies the in/out points chosen on the review screen to the metrics
+ * captured while recording, so only the kept part of the take is scored.
+ */
+
+import { getTimeDiscipline } from './index';
+import { computeLookAwayIntervals } from './eyeContact';
+import { summarizeBodyLanguage } from './bodyLanguage';
+import { PRACTICE_TIMING } from '../constants';
+
+/**
+ * Returns the trim range to send for analysis, or null if nothing is trimmed
+ *
+ * @param {{start: number, end: number|null}} trim - In/out points (end null = end of recording)
+ * @param {number} duration - Full recording length in seconds
+ * @returns {{start: number, end: number}|null} Effective range, or null for the whole recording
+ *
+ * @example
+ * getTrimRange({ start: 2, end: null }, 60) // { start: 2, end: 60 }
+ * getTrimRange({ start: 0, end: null }, 60) // null
+ */
+export const getTrimRange = (trim, duration) => {
+  const start = Math.max(trim.start || 0, 0);
+  const end = trim.end === null || trim.end >= duration ? duration : trim.end;
+  if (start <= 0 && end >= duration) {
+    return null;
+  }
+  return { start, end };
+};
+
+/**
+ * Clips time intervals to a range and shifts them so the range starts at 0
+ *
+ * @param {Array<{start: number, end: number}>} intervals - Intervals in seconds
+ * @param {{start: number, end: number}} range - Range to keep
+ * @returns {Array<{start: number, end: number}>} Intervals inside the range
+ */
+export const clipIntervals = (intervals, range) => {
+  return intervals
+    .filter(interval => interval.end > range.start && interval.start < range.end)
+    .map(interval => ({
+      ...interval,
+      start: Math.max(interval.start, range.start) - range.start,
+      end: Math.min(interval.end, range.end) - range.start
+    }));
+};
+
+/**
+ * Restricts locally computed analysis data to a trim range
+ * Eye-contact samples and pose frames outside the range no longer count towards
+ * the scores or timelines, and segments, silences and time discipline are
+ * measured on the trimmed take.
+ *
+ * @param {Object|null} data - Analysis data captured during recording
+ * @param {{start: number, end: number}|null} range - Range from getTrimRange
+ * @returns {Object|null} Analysis data for the trimmed recording
+ */
+export const applyTrimToAnalysis = (data, range) => {
+  if (!data || !range) {
+    return data;
+  }
+
+  const trimmed = { ...data, trim: range };
+
+  if (data.eyeContactSamples) {
+    const kept = data.eyeContactSamples.filter(sample => sample.time >= range.start && sample.time <= range.end);
+    trimmed.eyeContactSamples = kept.map(sample => ({ ...sample, time: sample.time - range.start }));
+    trimmed.eyeContactScore = kept.length > 0
+      ? Math.round((kept.filter(sample => sample.eyeContact).length / kept.length) * 100)
+      : null;
+    if (kept.length === 0) {
+      trimmed.eyeContactUnavailable = data.eyeContactUnavailable || 'No video frames were analysed in the trimmed range.';
+    }
+    trimmed.lookAways = computeLookAwayIntervals(trimmed.eyeContactSamples);
+  }
+  if (data.poseFrames) {
+    trimmed.poseFrames = data.poseFrames
+      .filter(frame => frame.time >= range.start && frame.time <= range.end)
+      .map(frame => ({ ...frame, time: frame.time - range.start }));
+    trimmed.bodyLanguage = summarizeBodyLanguage(trimmed.poseFrames);
+    if (!trimmed.bodyLanguage) {
+      trimmed.bodyLanguageUnavailable = data.bodyLanguageUnavailable || 'You were not visible enough in the trimmed range for body-language analysis.';
+    }
+  }
+  if (data.segments) {
+    trimmed.segments = clipIntervals(data.segments, range);
+  }
+  if (data.silences) {
+    trimmed.silences = clipIntervals(data.silences, range);
+  }
+  if (data.timeDiscipline) {
+    trimmed.timeDiscipline = {
+      mode: data.timeDiscipline.mode,
+      ...getTimeDiscipline(range.end - range.start, data.timeDiscipline.targetSeconds, PRACTICE_TIMING.TOLERANCE)
+    };
+  }
+
+  return trimmed;
+};
@@ -0,0 +1,97 @@
+/**
+ * Eye Contact Worker
+ *
+ * Runs the Teachable Machine eye-contact model off the main thread. Frames
+ * arrive as transferred ImageBitmaps and are cropped and scaled on an
+ * OffscreenCanvas the same way @teachablemachine/image does (centre square,
+ * 224x224, pixels scaled to [-1, 1]), which needs the DOM and so cannot run here.
+ *
+ * Messages in:
+ *   { type: 'load', modelUrl, tfjsUrl, inputSize }
+ *   { type: 'predict', id, bitmap }
+ * Messages out:
+ *   { type: 'loaded', labels }
+ *   { type: 'prediction', id, predictions: [{ className, probability }] }
+ *   { type: 'error', id?, message }
+ */
+
+/* eslint-env worker, es2020 */
+
+let tf = null;
+let model = null;
+let labels = [];
+let canvas = null;
+let ctx = null;
+
+/**
+ * Loads TensorFlow.js, the model and its class labels
+ *
+ * @param {{modelUrl: string, tfjsUrl: string, inputSize: number}} options - Load options
+ * @returns {Promise<string[]>} Class labels in output order
+ */
+const load = async ({ modelUrl, tfjsUrl, inputSize }) => {
+  if (typeof OffscreenCanvas === 'undefined') {
+    throw new Error('OffscreenCanvas is not supported');
+  }
+  if (!globalThis.tf) {
+    globalThis.importScripts(tfjsUrl);
+  }
+  tf = globalThis.tf;
+
+  const [layersModel, metadata] = await Promise.all([
+    tf.loadLayersModel(`${modelUrl}model.json`),
+    fetch(`${modelUrl}metadata.json`).then(response => {
+      if (!response.ok) {
+        throw new Error(`Could not load model metadata (HTTP ${response.status})`);
+      }
+      return response.json();
+    })
+  ]);
+
+  model = layersModel;
+  labels = metadata.labels || [];
+  canvas = new OffscreenCanvas(inputSize, inputSize);
+  ctx = canvas.getContext('2d');
+  return labels;
+};
+
+/**
+ * Classifies one frame
+ *
+ * @param {ImageBitmap} bitmap - Video frame; closed once drawn
+ * @returns {Array<{className: string, probability: number}>} Probability per class
+ */
+const predict = (bitmap) => {
+  const size = Math.min(bitmap.width, bitmap.height);
+  ctx.drawImage(bitmap, (bitmap.width - size) / 2, (bitmap.height - size) / 2, size, size, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+  const probabilities = tf.tidy(() => {
+    const offset = tf.scalar(127.5);
+    const input = tf.browser.fromPixels(imageData).toFloat()
+      .sub(offset)
+      .div(offset)
+      .reshape([1, canvas.height, canvas.width, 3]);
+    return model.predict(input).dataSync();
+  });
+
+  return labels.map((className, index) => ({ className, probability: probabilities[index] }));
+};
+
+globalThis.onmessage = async (event) => {
+  const { type, id } = event.data;
+  try {
+    if (type === 'load') {
+      globalThis.postMessage({ type: 'loaded', labels: await load(event.data) });
+    } else if (type === 'predict') {
+      if (!model) {
+        event.data.bitmap.close();
+        throw new Error('Model not loaded');
+      }
+      globalThis.postMessage({ type: 'prediction', id, predictions: predict(event.data.bitmap) });
+    }
+  } catch (err) {
+    globalThis.postMessage({ type: 'error', id, message: err.message || String(err) });
+  }
+};